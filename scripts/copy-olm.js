@@ -0,0 +1,13 @@
+const fs = require('fs');
+const path = require('path');
+
+// libolm can't go through the bundler (it references node built-ins), so it's served
+// as a static file and loaded at runtime by src/encryption.js
+const olmDir = path.dirname(require.resolve('@matrix-org/olm/package.json'));
+const targetDir = path.resolve(__dirname, '../public/olm');
+
+fs.mkdirSync(targetDir, { recursive: true });
+['olm.js', 'olm.wasm'].forEach(file => {
+  fs.copyFileSync(path.join(olmDir, file), path.join(targetDir, file));
+});
+console.log('Copied libolm to public/olm');
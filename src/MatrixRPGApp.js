@@ -1,6 +1,11 @@
 // MatrixRPGApp.js
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef } from 'react';
 import { MatrixRPGClient } from './MatrixRPGClient';
+import { describeScene } from './scenes';
+import { describeDeletedRoll } from './rollAudit';
+import { describeConnection } from './connection';
+import { EDITABLE_TYPES } from './rpgEvents';
+import { localId, insertMessage, updateMessage, redactMessage, removeMessage, replaceMessageId } from './messageStore';
 
 const MatrixRPGApp = () => {
   const [view, setView] = useState('game');
@@ -16,11 +21,31 @@ const MatrixRPGApp = () => {
   const [hasUnreadGame, setHasUnreadGame] = useState(false);
   const [hasUnreadChat, setHasUnreadChat] = useState(false);
   const [notificationsEnabled, setNotificationsEnabled] = useState(false);
+  const [sessionExpired, setSessionExpired] = useState(false);
+  const [rooms, setRooms] = useState([]); // Joined rooms with unread counts (see client.getRooms)
+  const [initiatives, setInitiatives] = useState({}); // roomId -> turn order (see initiative.js)
+  const [showSceneIndex, setShowSceneIndex] = useState(false);
+  const [collapsedScenes, setCollapsedScenes] = useState([]); // Scene message IDs
+  const [showExport, setShowExport] = useState(false);
+  const [editing, setEditing] = useState(null); // Own message being edited: { eventId, roomId }
+  const [replyingTo, setReplyingTo] = useState(null); // { eventId, roomId, sender, thread }
+  const [openThreads, setOpenThreads] = useState([]); // Root event IDs with their thread shown
+  const [roomStates, setRoomStates] = useState({}); // roomId -> members and power levels (see _updateRoomState)
+  const [typingUsers, setTypingUsers] = useState({}); // roomId -> [{ userId, name }] drafting a message
+  const [showMembers, setShowMembers] = useState(false);
+  const [historyStatus, setHistoryStatus] = useState({}); // roomId -> { loading, hasMore } for scroll-back
+  const [purgeStatus, setPurgeStatus] = useState(null); // Running or paused /purge (see purgeMessages)
+  const [connection, setConnection] = useState(null); // { status, label, since, error } (see _reportConnection)
+  const [exportOptions, setExportOptions] = useState({ format: 'md', from: '', to: '', fromScene: '', toScene: '', includeChat: false, entireHistory: true });
   
   const clientRef = useRef(null);
   const messagesEndRef = useRef(null);
+  const messagesContainerRef = useRef(null);
+  const scrollAnchorRef = useRef(null); // Scroll position to keep while older messages load above it
   const lastMessageCountRef = useRef({ game: 0, chat: 0 });
   const tabHasFocusRef = useRef(true);
+  const activeRoomRef = useRef(null); // Room whose messages are on screen
+  const roomBuffersRef = useRef({}); // roomId -> { game, chat } for the rooms not on screen
 
   // User colors - For consistent styling
   const USER_COLORS = [
@@ -30,6 +55,13 @@ const MatrixRPGApp = () => {
     '#7D3956', // Mulberry
   ];
 
+  // Markers shown after a roll for each verification state
+  const ROLL_VERIFICATION_MARKS = {
+    pending: ' …',
+    verified: ' ✓',
+    unverified: ' unverified'
+  };
+
   // Setup window focus/blur event listeners for notifications
   useEffect(() => {
     const handleBlur = () => {
@@ -80,6 +112,9 @@ const MatrixRPGApp = () => {
 
   // Simple color assignment function based on user ID
   const assignColor = (userId) => {
+    // System messages sent before login have no sender
+    if (!userId) return '#888888';
+    
     // Use the user's ID to deterministically assign a color
     const colorIndex = Math.abs(userId.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0)) % USER_COLORS.length;
     return USER_COLORS[colorIndex];
@@ -92,10 +127,24 @@ const MatrixRPGApp = () => {
     // Set up event listeners - only handle necessary events
     clientRef.current.on('message', handleMessage);
     clientRef.current.on('roll', handleRoll);
+    clientRef.current.on('rollVerification', handleRollVerification);
     clientRef.current.on('scene', handleScene);
     clientRef.current.on('error', handleError);
     clientRef.current.on('roomJoin', handleRoomJoin);
     clientRef.current.on('roomLeave', handleRoomLeave);
+    clientRef.current.on('roomSwitch', handleRoomSwitch);
+    clientRef.current.on('unread', refreshRooms);
+    clientRef.current.on('initiative', handleInitiative);
+    clientRef.current.on('export', handleExport);
+    clientRef.current.on('edit', handleEdit);
+    clientRef.current.on('roomState', handleRoomState);
+    clientRef.current.on('typing', handleTyping);
+    clientRef.current.on('history', handleHistory);
+    clientRef.current.on('redaction', handleRedaction);
+    clientRef.current.on('localEcho', handleLocalEcho);
+    clientRef.current.on('purge', handlePurge);
+    clientRef.current.on('connection', handleConnection);
+    clientRef.current.on('sessionExpired', handleSessionExpired);
     
     // Only try to log in if there's no reset flag in sessionStorage
     const wasReset = sessionStorage.getItem('matrixReset') === 'true';
@@ -108,6 +157,8 @@ const MatrixRPGApp = () => {
           setIsLoggedIn(true);
           setUsername(clientRef.current.userId);
           setInRoom(!!clientRef.current.room);
+          activeRoomRef.current = clientRef.current.room;
+          refreshRooms();
           
           // Clear messages first
           setGameMessages([]);
@@ -115,7 +166,7 @@ const MatrixRPGApp = () => {
           
           // Add login message
           const loginMsg = { 
-            id: 'login-' + Date.now(),
+            id: localId('login'),
             text: "logged in successfully.",
             color: '#888888',
             system: true,
@@ -160,7 +211,7 @@ const MatrixRPGApp = () => {
       // Add initial login prompt
       const promptMsg = { 
         id: 'initial-prompt',
-        text: "Use /login username password to log in.",
+        text: "Use /login username password to log in, or /server to choose a homeserver.",
         color: '#888888',
         system: true,
         isNew: true
@@ -185,10 +236,24 @@ const MatrixRPGApp = () => {
       if (clientRef.current) {
         clientRef.current.off('message', handleMessage);
         clientRef.current.off('roll', handleRoll);
+        clientRef.current.off('rollVerification', handleRollVerification);
         clientRef.current.off('scene', handleScene);
         clientRef.current.off('error', handleError);
         clientRef.current.off('roomJoin', handleRoomJoin);
         clientRef.current.off('roomLeave', handleRoomLeave);
+        clientRef.current.off('roomSwitch', handleRoomSwitch);
+        clientRef.current.off('unread', refreshRooms);
+        clientRef.current.off('initiative', handleInitiative);
+        clientRef.current.off('export', handleExport);
+        clientRef.current.off('edit', handleEdit);
+        clientRef.current.off('roomState', handleRoomState);
+        clientRef.current.off('typing', handleTyping);
+        clientRef.current.off('history', handleHistory);
+        clientRef.current.off('redaction', handleRedaction);
+        clientRef.current.off('localEcho', handleLocalEcho);
+        clientRef.current.off('purge', handlePurge);
+        clientRef.current.off('connection', handleConnection);
+        clientRef.current.off('sessionExpired', handleSessionExpired);
       }
     };
   }, []);
@@ -202,9 +267,19 @@ const MatrixRPGApp = () => {
     lastMessageCountRef.current.chat = chatMessages.length;
   }, [chatMessages]);
 
-  // Scroll to bottom when messages change
-  useEffect(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  // Scroll to bottom when messages change, unless older messages are being added above. Runs
+  // before paint so the view doesn't jump; the anchor is kept until the page has finished loading.
+  useLayoutEffect(() => {
+    const container = messagesContainerRef.current;
+    const anchor = scrollAnchorRef.current;
+    if (anchor && container) {
+      container.scrollTop = container.scrollHeight - anchor.scrollHeight + anchor.scrollTop;
+      if (!historyStatus[activeRoomRef.current]?.loading) {
+        scrollAnchorRef.current = null;
+      }
+    } else {
+      messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+    }
     
     // Clear unread indicator for current view
     if (view === 'game') {
@@ -212,7 +287,7 @@ const MatrixRPGApp = () => {
     } else {
       setHasUnreadChat(false);
     }
-  }, [gameMessages, chatMessages, view]);
+  }, [gameMessages, chatMessages, view, historyStatus]);
 
   // Handle view transitions
   const handleViewChange = (newView) => {
@@ -240,87 +315,157 @@ const MatrixRPGApp = () => {
     }, 100); // Wait for fade-out before changing view
   };
 
+  // Messages for the active room go on screen; other rooms' messages wait in their buffer
+  const updateRoomMessages = (roomId, channel, update) => {
+    if (!roomId || roomId === activeRoomRef.current) {
+      (channel === 'game' ? setGameMessages : setChatMessages)(update);
+      return;
+    }
+    
+    const buffer = roomBuffersRef.current[roomId] || { game: [], chat: [] };
+    roomBuffersRef.current[roomId] = { ...buffer, [channel]: update(buffer[channel]) };
+  };
+  
+  // Put the current room's messages back in its buffer and show another room's
+  const showRoom = (roomId) => {
+    const previous = activeRoomRef.current;
+    if (previous === roomId) return;
+    
+    // System notices belong to the moment, not the room
+    const park = (channel) => (prev) => {
+      if (previous) {
+        const buffer = roomBuffersRef.current[previous] || { game: [], chat: [] };
+        roomBuffersRef.current[previous] = { ...buffer, [channel]: prev.filter(msg => !msg.system) };
+      }
+      return roomBuffersRef.current[roomId]?.[channel] || [];
+    };
+    
+    setGameMessages(park('game'));
+    setChatMessages(park('chat'));
+    setHasUnreadGame(false);
+    setHasUnreadChat(false);
+    activeRoomRef.current = roomId;
+  };
+  
+  const refreshRooms = () => {
+    setRooms(clientRef.current ? clientRef.current.getRooms() : []);
+  };
+
   // Event handlers
   const handleMessage = (data) => {
     const textColor = assignColor(data.sender);
     
     const messageObj = { 
-      id: Date.now().toString(),
+      id: data.eventId || localId(data.system ? 'system' : 'message'),
+      eventId: data.eventId,
+      type: data.type,
       text: data.text,
+      body: data.text, // As sent, for editing
+      edited: data.edited,
+      replyTo: data.replyTo,
+      threadRoot: data.threadRoot,
+      quote: data.quote, // Quoted fallback, for when the replied-to message isn't loaded
+      timestamp: data.timestamp,
       color: textColor,
       sender: data.sender,
-      isNew: true // Mark as new for animation
+      isNew: !data.historical // Animate in, unless it's from history
     };
     
     // Check if this is our own message
     const isOwnMessage = data.sender === clientRef.current?.userId;
     
+    // Only the active room drives the unread tab markers
+    const isActiveRoom = !data.roomId || data.roomId === activeRoomRef.current;
+    const notify = !isOwnMessage && !data.historical && !tabHasFocusRef.current && isActiveRoom;
+    
     // Add to appropriate view based on message type
     if (data.type === 'game') {
-      setGameMessages(prev => [...prev, messageObj]);
+      updateRoomMessages(data.roomId, 'game', prev => insertMessage(prev, messageObj));
       
       // Set unread flag if tab isn't focused and it's not our own message
-      if (!isOwnMessage && !data.historical && !tabHasFocusRef.current) {
+      if (notify) {
         setHasUnreadGame(true);
       }
       
       // Remove isNew flag after animation completes
       setTimeout(() => {
-        setGameMessages(prev => 
+        updateRoomMessages(data.roomId, 'game', prev => 
           prev.map(msg => msg.id === messageObj.id ? {...msg, isNew: false} : msg)
         );
       }, 150);
     } else if (data.type === 'chat') {
-      setChatMessages(prev => [...prev, messageObj]);
+      updateRoomMessages(data.roomId, 'chat', prev => insertMessage(prev, messageObj));
       
       // Set unread flag if tab isn't focused and it's not our own message
-      if (!isOwnMessage && !data.historical && !tabHasFocusRef.current) {
+      if (notify) {
         setHasUnreadChat(true);
       }
       
       // Remove isNew flag after animation completes
       setTimeout(() => {
-        setChatMessages(prev => 
+        updateRoomMessages(data.roomId, 'chat', prev => 
           prev.map(msg => msg.id === messageObj.id ? {...msg, isNew: false} : msg)
         );
       }, 150);
     } else if (data.type === 'narrate') {
       // Narration messages always go to the game channel with specific color
       const narrationObj = { 
-        id: Date.now().toString(),
+        id: data.eventId || localId('narration'),
+        eventId: data.eventId,
         text: data.text,
+        body: data.text,
+        edited: data.edited,
+        replyTo: data.replyTo,
+        threadRoot: data.threadRoot,
+        quote: data.quote,
+        timestamp: data.timestamp,
         color: '#333333', // Narration color
         sender: data.sender,
         type: 'narrate',
-        isNew: true // Mark as new for animation
+        isNew: !data.historical // Animate in, unless it's from history
       };
       
-      setGameMessages(prev => [...prev, narrationObj]);
+      updateRoomMessages(data.roomId, 'game', prev => insertMessage(prev, narrationObj));
       
       // Set unread flag if tab isn't focused and it's not our own message
-      if (!isOwnMessage && !data.historical && !tabHasFocusRef.current) {
+      if (notify) {
         setHasUnreadGame(true);
       }
       
       // Remove isNew flag after animation completes
       setTimeout(() => {
-        setGameMessages(prev => 
+        updateRoomMessages(data.roomId, 'game', prev => 
           prev.map(msg => msg.id === narrationObj.id ? {...msg, isNew: false} : msg)
         );
       }, 150);
+    } else if (data.type === 'emote') {
+      // /me actions from other Matrix clients show in chat as "* name does something"
+      const emoteObj = {...messageObj, text: `* ${data.sender.split(':')[0]} ${data.text}`, type: 'emote'};
+
+      updateRoomMessages(data.roomId, 'chat', prev => insertMessage(prev, emoteObj));
+
+      if (notify) {
+        setHasUnreadChat(true);
+      }
+
+      setTimeout(() => {
+        updateRoomMessages(data.roomId, 'chat', prev =>
+          prev.map(msg => msg.id === emoteObj.id ? {...msg, isNew: false} : msg)
+        );
+      }, 150);
     } else if (data.type === 'system' && data.system) {
       // System messages go to both views
-      const systemMsg = {...messageObj, isNew: true, system: true};
+      const systemMsg = {...messageObj, system: true};
       
-      setGameMessages(prev => [...prev, systemMsg]);
-      setChatMessages(prev => [...prev, systemMsg]);
+      updateRoomMessages(data.roomId, 'game', prev => [...prev, systemMsg]);
+      updateRoomMessages(data.roomId, 'chat', prev => [...prev, systemMsg]);
       
       // Remove isNew flag after animation completes
       setTimeout(() => {
-        setGameMessages(prev => 
+        updateRoomMessages(data.roomId, 'game', prev => 
           prev.map(msg => msg.id === systemMsg.id ? {...msg, isNew: false} : msg)
         );
-        setChatMessages(prev => 
+        updateRoomMessages(data.roomId, 'chat', prev => 
           prev.map(msg => msg.id === systemMsg.id ? {...msg, isNew: false} : msg)
         );
       }, 150);
@@ -331,59 +476,87 @@ const MatrixRPGApp = () => {
     // Format roll message text with highlighted username
     const senderName = data.sender.split(':')[0];
     
+    // Rolls carrying an interpreted outcome render it separately from the dice line;
+    // older rolls only have the body text
+    const statsText = Object.entries(data.stats || {}).map(([name, value]) => `@${name}=${value}`).join(', ');
+    const rollText = data.outcome && data.breakdown
+      ? `🎲 @${senderName} ${data.label ? `${data.label} ` : ''}${data.expression || data.dice}${statsText ? ` [${statsText}]` : ''}: ${data.breakdown} = ${data.total}`
+      : data.text;
+    
     const rollObj = { 
-      id: Date.now().toString(),
+      id: data.eventId || localId('roll'),
       type: 'roll',
-      text: data.text,
+      text: rollText,
       color: '#888888', // Rolls always gray
       sender: data.sender,
       username: senderName,
-      isNew: true // Mark as new for animation
+      total: data.total,
+      groups: data.groups, // Per-die breakdown, identical on every client
+      outcome: data.outcome,
+      eventId: data.eventId,
+      verified: data.verified, // null until the commit/reveal check finishes
+      timestamp: data.timestamp,
+      expression: data.expression || data.dice,
+      // Deleted rolls found in history arrive as tombstones
+      ...(data.redacted && { redacted: true, redactedBy: data.redactedBy, redactedAt: data.redactedAt }),
+      isNew: !data.historical // Animate in, unless it's from history
     };
     
     // Only add rolls to game channel
-    setGameMessages(prev => [...prev, rollObj]);
+    updateRoomMessages(data.roomId, 'game', prev => insertMessage(prev, rollObj));
     
     // Check if we should set unread indicator
     const isOwnRoll = data.sender === clientRef.current?.userId;
     
-    if (!isOwnRoll && !data.historical && !tabHasFocusRef.current) {
+    if (!isOwnRoll && !data.historical && !tabHasFocusRef.current && data.roomId === activeRoomRef.current) {
       setHasUnreadGame(true);
     }
     
     // Remove isNew flag after animation completes
     setTimeout(() => {
-      setGameMessages(prev => 
+      updateRoomMessages(data.roomId, 'game', prev => 
         prev.map(msg => msg.id === rollObj.id ? {...msg, isNew: false} : msg)
       );
     }, 150);
   };
   
+  // Mark a roll as verified or unverified once its commit has been checked
+  const handleRollVerification = (data) => {
+    updateRoomMessages(data.roomId, 'game', prev => 
+      updateMessage(prev, data.eventId, { verified: data.verified, verifyReason: data.reason })
+    );
+  };
+  
   const handleScene = (data) => {
     const sceneObj = { 
-      id: Date.now().toString(),
+      // Event IDs keep scenes addressable by the scene index
+      id: data.eventId || localId('scene'),
+      eventId: data.eventId,
       type: 'scene',
       text: data.text,
       sceneName: data.sceneName,
       sceneType: data.sceneType,
+      location: data.location,
+      participants: data.participants || [],
+      timestamp: data.timestamp,
       color: '#333333',
       sender: data.sender,
-      isNew: true // Mark as new for animation
+      isNew: !data.historical // Animate in, unless it's from history
     };
     
     // Only add scenes to game channel
-    setGameMessages(prev => [...prev, sceneObj]);
+    updateRoomMessages(data.roomId, 'game', prev => insertMessage(prev, sceneObj));
     
     // Check if we should set unread indicator
     const isOwnScene = data.sender === clientRef.current?.userId;
     
-    if (!isOwnScene && !data.historical && !tabHasFocusRef.current) {
+    if (!isOwnScene && !data.historical && !tabHasFocusRef.current && data.roomId === activeRoomRef.current) {
       setHasUnreadGame(true);
     }
     
     // Remove isNew flag after animation completes
     setTimeout(() => {
-      setGameMessages(prev => 
+      updateRoomMessages(data.roomId, 'game', prev => 
         prev.map(msg => msg.id === sceneObj.id ? {...msg, isNew: false} : msg)
       );
     }, 150);
@@ -391,7 +564,7 @@ const MatrixRPGApp = () => {
 
   const handleError = (data) => {
     setError(data.message);
-    const errorMsgId = Date.now().toString();
+    const errorMsgId = localId('error');
     const errorMsg = { 
       id: errorMsgId,
       text: `Error (${data.context}): ${data.message}`, 
@@ -451,9 +624,11 @@ const MatrixRPGApp = () => {
 
   const handleRoomJoin = (data) => {
     setInRoom(true);
+    showRoom(data.roomId);
+    refreshRooms();
     
     // Create a single join message
-    const joinMsgId = 'join-' + Date.now();
+    const joinMsgId = localId('join');
     const joinMsg = { 
       id: joinMsgId,
       text: "Joined room successfully",
@@ -507,14 +682,24 @@ const MatrixRPGApp = () => {
   };
   
   // Handle room leave
-  const handleRoomLeave = () => {
-    setInRoom(false);
+  const handleRoomLeave = (data) => {
+    // The client moves on to another joined room, if there is one
+    activeRoomRef.current = null;
+    delete roomBuffersRef.current[data.roomId];
+    if (data.nextRoomId) {
+      showRoom(data.nextRoomId);
+    } else {
+      setGameMessages([]);
+      setChatMessages([]);
+    }
+    setInRoom(!!data.nextRoomId);
+    refreshRooms();
     
     // Create a single leave message
-    const leaveMsgId = 'leave-' + Date.now();
+    const leaveMsgId = localId('leave');
     const leaveMsg = { 
       id: leaveMsgId,
-      text: "Left room",
+      text: data.nextRoomId ? `Left room. Now in ${data.nextRoomName}` : "Left room",
       color: '#888888',
       system: true,
       isNew: true // Mark as new for animation
@@ -551,9 +736,211 @@ const MatrixRPGApp = () => {
     }, 4000);
   };
 
+  // Handle switching between joined rooms
+  const handleRoomSwitch = (data) => {
+    showRoom(data.roomId);
+    setInRoom(true);
+    refreshRooms();
+    
+    const switchMsg = { 
+      id: localId('switch'),
+      text: `Switched to ${data.name}`,
+      color: '#888888',
+      system: true,
+      temporary: true,
+      isNew: true // Mark as new for animation
+    };
+    
+    setGameMessages(prev => [...prev, switchMsg]);
+    setChatMessages(prev => [...prev, switchMsg]);
+    
+    // Remove isNew flag after animation completes
+    setTimeout(() => {
+      setGameMessages(prev => 
+        prev.map(msg => msg.id === switchMsg.id ? {...msg, isNew: false} : msg)
+      );
+      setChatMessages(prev => 
+        prev.map(msg => msg.id === switchMsg.id ? {...msg, isNew: false} : msg)
+      );
+    }, 150);
+    
+    // Fade out, then remove
+    setTimeout(() => {
+      setGameMessages(prev => 
+        prev.map(msg => msg.id === switchMsg.id ? {...msg, removing: true} : msg)
+      );
+      setChatMessages(prev => 
+        prev.map(msg => msg.id === switchMsg.id ? {...msg, removing: true} : msg)
+      );
+      
+      setTimeout(() => {
+        setGameMessages(prev => prev.filter(msg => msg.id !== switchMsg.id));
+        setChatMessages(prev => prev.filter(msg => msg.id !== switchMsg.id));
+      }, 600);
+    }, 3000);
+  };
+
+  // Turn order changes; tell the player when their turn comes up
+  const handleInitiative = (data) => {
+    setInitiatives(prev => ({ ...prev, [data.roomId]: data.initiative }));
+    
+    if (!data.yourTurn) return;
+    
+    const roomName = clientRef.current?.getRooms().find(room => room.roomId === data.roomId)?.name;
+    const text = `Your turn (round ${data.initiative.round}${roomName ? `, ${roomName}` : ''}). Use /init next when you're done.`;
+    
+    handleMessage({ roomId: data.roomId, text, type: 'system', system: true });
+    
+    if (!tabHasFocusRef.current && "Notification" in window && Notification.permission === "granted") {
+      new Notification('Your turn', { body: text });
+    }
+  };
+
+  // Members, roles and presence for the members panel
+  const handleRoomState = (data) => {
+    setRoomStates(prev => ({ ...prev, [data.roomId]: { ...data.state } }));
+  };
+  
+  const handleTyping = (data) => {
+    setTypingUsers(prev => ({ ...prev, [data.roomId]: data.users }));
+  };
+  
+  // Scroll-back progress; the scroll position is held until the page has been added
+  const handleHistory = (data) => {
+    setHistoryStatus(prev => ({ ...prev, [data.roomId]: { loading: data.loading, hasMore: data.hasMore } }));
+  };
+  
+  // Purge progress; finished and cancelled purges report in a system message instead
+  const handlePurge = (data) => {
+    setPurgeStatus(data.status === 'running' || data.status === 'paused' ? data : null);
+  };
+  
+  const handleConnection = (data) => {
+    setConnection(data);
+  };
+  
+  // Load the previous page, keeping what's on screen where it is
+  const loadOlderMessages = () => {
+    const container = messagesContainerRef.current;
+    const status = historyStatus[activeRoomRef.current];
+    if (!container || scrollAnchorRef.current || status?.loading || status?.hasMore === false) return;
+    
+    scrollAnchorRef.current = { scrollHeight: container.scrollHeight, scrollTop: container.scrollTop };
+    clientRef.current?.loadOlderMessages();
+  };
+  
+  // Scrolling near the top of the messages loads more
+  const handleScroll = (e) => {
+    if (e.currentTarget.scrollTop <= 50) {
+      loadOlderMessages();
+    }
+  };
+
+  // A message was edited: show the new text in place
+  const handleEdit = (data) => {
+    const applyEdit = prev => updateMessage(prev, data.eventId, msg => ({
+      ...msg,
+      text: msg.type === 'emote' ? `* ${data.sender.split(':')[0]} ${data.text}` : data.text,
+      body: data.text,
+      edited: true
+    }));
+    
+    updateRoomMessages(data.roomId, 'game', applyEdit);
+    updateRoomMessages(data.roomId, 'chat', applyEdit);
+  };
+  
+  // Deleted for everyone: leave a tombstone where the message was
+  const handleRedaction = (data) => {
+    const applyRedaction = prev => redactMessage(prev, data.eventId, data);
+    
+    updateRoomMessages(data.roomId, 'game', applyRedaction);
+    updateRoomMessages(data.roomId, 'chat', applyRedaction);
+  };
+  
+  // Our own message got its server ID, or was cancelled before it went out
+  const handleLocalEcho = (data) => {
+    const applyEcho = prev => data.status === 'cancelled'
+      ? removeMessage(prev, data.oldEventId)
+      : updateMessage(replaceMessageId(prev, data.oldEventId, data.eventId), data.eventId, { status: data.status });
+    
+    updateRoomMessages(data.roomId, 'game', applyEcho);
+    updateRoomMessages(data.roomId, 'chat', applyEcho);
+  };
+
+  // Save an exported transcript as a file
+  const handleExport = (data) => {
+    const url = URL.createObjectURL(new Blob([data.content], { type: data.mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = data.filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  };
+
+  // Export from the panel goes through /export so both share the same checks
+  const runExport = () => {
+    const { format, from, to, fromScene, toScene, includeChat } = exportOptions;
+    const args = [format];
+    if (from) args.push(`--from ${from}`);
+    if (to) args.push(`--to ${to}`);
+    if (fromScene || toScene) args.push(`--scenes ${fromScene || 0}-${toScene}`);
+    if (includeChat) args.push('--chat');
+    if (exportOptions.entireHistory) args.push('--all');
+    
+    setShowExport(false);
+    clientRef.current?.processCommand(`/export ${args.join(' ')}`);
+  };
+
+  // Handle expired sessions: a soft logout only needs the password again
+  const handleSessionExpired = (data) => {
+    if (data.soft) {
+      setSessionExpired(true);
+    } else {
+      setIsLoggedIn(false);
+      setInRoom(false);
+      setUsername('');
+    }
+    
+    const expiredMsg = { 
+      id: localId('session'),
+      text: data.soft 
+        ? "Your session expired. Use /login password to continue."
+        : "You were logged out. Use /login username password to log in.",
+      color: '#888888',
+      system: true,
+      isNew: true // Mark as new for animation
+    };
+    
+    setGameMessages(prev => [...prev, expiredMsg]);
+    setChatMessages(prev => [...prev, expiredMsg]);
+    
+    // Remove isNew flag after animation completes
+    setTimeout(() => {
+      setGameMessages(prev => 
+        prev.map(msg => msg.id === expiredMsg.id ? {...msg, isNew: false} : msg)
+      );
+      setChatMessages(prev => 
+        prev.map(msg => msg.id === expiredMsg.id ? {...msg, isNew: false} : msg)
+      );
+    }, 150);
+  };
+
+  // Drafting a message (not a command) shows as typing to the other players
+  const handleInputChange = (e) => {
+    const value = e.target.value;
+    setInput(value);
+    clientRef.current?.setTyping(value.trim() !== '' && !value.startsWith('/'));
+  };
+
   // Handle key press to detect Shift+Enter for line breaks
   const handleKeyDown = (e) => {
-    if (e.key === 'Enter') {
+    if (e.key === 'Escape' && (editing || replyingTo)) {
+      if (editing) cancelEdit();
+      setReplyingTo(null);
+      e.preventDefault();
+    } else if (e.key === 'Enter') {
       if (e.shiftKey) {
         // Insert an actual newline character
         const cursorPosition = e.target.selectionStart;
@@ -575,6 +962,28 @@ const MatrixRPGApp = () => {
     }
   };
 
+  // Own posts that can be corrected; rolls and scenes stay as sent
+  const canEdit = (msg) => !!msg.eventId && !msg.system && EDITABLE_TYPES.includes(msg.type) && msg.sender === clientRef.current?.userId;
+  
+  const startEdit = (msg) => {
+    setEditing({ eventId: msg.eventId, roomId: activeRoomRef.current });
+    setInput(msg.body);
+  };
+  
+  const cancelEdit = () => {
+    setEditing(null);
+    setInput('');
+  };
+  
+  // Reply to a message, or start (or continue) a thread on it
+  const startReply = (msg, thread = false) => {
+    setEditing(null);
+    setReplyingTo({ eventId: msg.eventId, roomId: activeRoomRef.current, sender: msg.sender, thread });
+    if (thread) {
+      setOpenThreads(prev => prev.includes(msg.threadRoot || msg.eventId) ? prev : [...prev, msg.threadRoot || msg.eventId]);
+    }
+  };
+
   // Command handling
   const handleCommand = async () => {
     if (!input.trim()) return;
@@ -582,6 +991,25 @@ const MatrixRPGApp = () => {
     // Process command without displaying it
     const cmd = input;
     setInput('');
+    clientRef.current?.setTyping(false);
+    
+    // Replies go to the message picked; commands still run as usual
+    if (replyingTo && !cmd.startsWith('/')) {
+      setReplyingTo(null);
+      if (replyingTo.roomId === activeRoomRef.current) {
+        await clientRef.current?.sendReply(replyingTo.eventId, cmd, view, { thread: replyingTo.thread });
+      }
+      return;
+    }
+    
+    // Sending while editing replaces the message instead
+    if (editing) {
+      setEditing(null);
+      if (editing.roomId === activeRoomRef.current) {
+        await clientRef.current?.editMessage(editing.eventId, cmd);
+      }
+      return;
+    }
     
     if (clientRef.current) {
       const result = await clientRef.current.processCommand(cmd, view);
@@ -589,13 +1017,17 @@ const MatrixRPGApp = () => {
       // Handle login result directly here
       if (cmd.startsWith('/login') && result && typeof result === 'object') {
         if (result.success) {
+          const resumed = sessionExpired;
           setIsLoggedIn(true);
+          setSessionExpired(false);
           setUsername(result.userId);
           setInRoom(!!clientRef.current.room);
+          activeRoomRef.current = clientRef.current.room;
+          refreshRooms();
           
           // Add login success message
           const loginMsg = { 
-            id: 'login-' + Date.now(),
+            id: localId('login'),
             text: "Logged in successfully.",
             color: '#888888',
             system: true,
@@ -631,10 +1063,13 @@ const MatrixRPGApp = () => {
             }, 600);
           }, 4000);
           
+          // A resumed session keeps its room; no need to prompt for one
+          if (resumed) return;
+          
           // Add room join prompt ONLY to the game view
           const promptMsg = { 
-            id: 'prompt-' + Date.now(),
-            text: "Use /join #room:matrix.org to join a room.",
+            id: localId('prompt'),
+            text: "Use /join #room:matrix.org to join a room, or /create #alias to start a campaign.",
             color: '#888888',
             system: true,
             isNew: true // Mark as new for animation
@@ -657,8 +1092,13 @@ const MatrixRPGApp = () => {
       // Handle logout result directly
       else if (cmd.startsWith('/logout') && result && typeof result === 'object' && result.logout) {
         setIsLoggedIn(false);
+        setSessionExpired(false);
         setInRoom(false);
         setUsername('');
+        setRooms([]);
+        setInitiatives({});
+        activeRoomRef.current = null;
+        roomBuffersRef.current = {};
         
         // Reset messages
         setGameMessages([]);
@@ -666,8 +1106,8 @@ const MatrixRPGApp = () => {
         
         // Add logout message
         const logoutMsg = { 
-          id: 'logout-' + Date.now(),
-          text: "Logged out. Use /login username password to log in.",
+          id: localId('logout'),
+          text: "Logged out. Use /login username password to log in, or /server to choose a homeserver.",
           color: '#888888',
           system: true,
           isNew: true // Mark as new for animation
@@ -691,7 +1131,9 @@ const MatrixRPGApp = () => {
 
   // Helper for command suggestions
   const getCommandHelp = () => {
-    if (!isLoggedIn) {
+    if (sessionExpired) {
+      return '/login password';
+    } else if (!isLoggedIn) {
       return '/login username password';
     } else {
       return inRoom ? 'narrate or /roll 2d6' : '/join #room:matrix.org';
@@ -700,33 +1142,254 @@ const MatrixRPGApp = () => {
 
   // Get current messages based on view
   const currentMessages = view === 'game' ? gameMessages : chatMessages;
+  
+  // Turn order for the room on screen
+  const activeRoomId = rooms.find(room => room.active)?.roomId;
+  const activeInitiative = activeRoomId ? initiatives[activeRoomId] : null;
+  const activeHistory = activeRoomId ? historyStatus[activeRoomId] : null;
+  
+  // Scroll-back control above the messages, also shown when nothing loaded so far is displayable
+  const historyControl = activeHistory?.loading ? (
+    <div className="history-status">loading older messages…</div>
+  ) : activeHistory?.hasMore === false ? (
+    <div className="history-status">beginning of the campaign</div>
+  ) : (
+    <button className="history-status" onClick={loadOlderMessages}>load older messages</button>
+  );
+  
+  // Members of the room on screen, GMs first
+  const ROLE_ORDER = { gm: 0, player: 1 };
+  const activeMembers = Object.entries(roomStates[activeRoomId]?.members || {})
+    .map(([userId, member]) => ({ userId, ...member }))
+    .sort((a, b) => ROLE_ORDER[a.role] - ROLE_ORDER[b.role] || a.displayName.localeCompare(b.displayName));
+  
+  // "Kira is writing…", "Kira and Bo are writing…"
+  const writers = (activeRoomId && typingUsers[activeRoomId]) || [];
+  const writingText = writers.length === 0 ? null
+    : writers.length === 1 ? `${writers[0].name} is writing…`
+    : writers.length === 2 ? `${writers[0].name} and ${writers[1].name} are writing…`
+    : `${writers.length} players are writing…`;
+
+  // Scenes in the game view, for the scene index
+  const scenes = gameMessages.filter(msg => msg.type === 'scene' && !msg.redacted);
+  
+  // Messages of both channels by event ID, for reply quotes and threads
+  const messagesById = {};
+  const threadReplies = {}; // Root event ID -> messages in its thread
+  [...gameMessages, ...chatMessages].forEach(msg => {
+    if (msg.eventId) messagesById[msg.eventId] = msg;
+  });
+  [...gameMessages, ...chatMessages].forEach(msg => {
+    if (msg.threadRoot && messagesById[msg.threadRoot]) {
+      threadReplies[msg.threadRoot] = [...(threadReplies[msg.threadRoot] || []), msg];
+    }
+  });
+  Object.values(threadReplies).forEach(replies => replies.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0)));
+  
+  // Thread posts show under their root; only those whose root isn't loaded stay in the main flow
+  const mainMessages = currentMessages.filter(msg => !(msg.threadRoot && messagesById[msg.threadRoot]));
+  
+  // Messages of collapsed scenes stay hidden up to the next scene divider; system notices always show
+  const hiddenCounts = {};
+  let collapsedScene = null;
+  const visibleMessages = view !== 'game' ? mainMessages : mainMessages.filter(msg => {
+    if (msg.type === 'scene') {
+      collapsedScene = collapsedScenes.includes(msg.id) ? msg.id : null;
+      return true;
+    }
+    if (collapsedScene && !msg.system) {
+      hiddenCounts[collapsedScene] = (hiddenCounts[collapsedScene] || 0) + 1;
+      return false;
+    }
+    return true;
+  });
+  
+  const toggleScene = (sceneId) => {
+    setCollapsedScenes(prev => prev.includes(sceneId) ? prev.filter(id => id !== sceneId) : [...prev, sceneId]);
+  };
+  
+  // Collapse everything before the scene in progress
+  const collapsePastScenes = () => {
+    setCollapsedScenes(scenes.slice(0, -1).map(scene => scene.id));
+  };
+  
+  const jumpToScene = (sceneId) => {
+    setCollapsedScenes(prev => prev.filter(id => id !== sceneId));
+    setShowSceneIndex(false);
+    
+    // Wait for the scene's messages to render before scrolling
+    setTimeout(() => {
+      document.getElementById(`scene-${sceneId}`)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }, 50);
+  };
+  
+  // Time for today's scenes, date and time for older ones
+  const formatSceneTime = (timestamp) => {
+    if (!timestamp) return '';
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return date.toDateString() === new Date().toDateString() ? time : `${date.toLocaleDateString()} ${time}`;
+  };
+
+  const toggleThread = (rootId) => {
+    setOpenThreads(prev => prev.includes(rootId) ? prev.filter(id => id !== rootId) : [...prev, rootId]);
+  };
+  
+  const shortSender = (userId) => userId ? userId.split(':')[0] : 'someone';
+  
+  // Quoted context above a reply: the message itself if loaded, else the reply's fallback
+  const renderQuote = (msg) => {
+    if (!msg.replyTo) return null;
+    
+    const quoted = messagesById[msg.replyTo];
+    if (quoted?.redacted) {
+      return <div className="reply-quote">a deleted message</div>;
+    }
+    
+    const sender = quoted ? quoted.sender : msg.quote?.sender;
+    const text = quoted ? quoted.sceneName || quoted.body || quoted.text : msg.quote?.text;
+    
+    return (
+      <div className="reply-quote">
+        {text ? `${shortSender(sender)}: ${text.length > 120 ? `${text.substring(0, 120)}…` : text}` : 'an earlier message'}
+      </div>
+    );
+  };
+  
+  // Roll lines carry labels, expressions and stat names from other clients, so they stay plain
+  // text with only the roller's name highlighted
+  const renderRollText = (msg) => {
+    const mention = `@${msg.username}`;
+    const at = msg.text.indexOf(mention);
+    if (at < 0) return <span>{msg.text}</span>;
+    
+    return (
+      <span>
+        {msg.text.substring(0, at)}
+        <span className="username-highlight">{msg.username}</span>
+        {msg.text.substring(at + mention.length)}
+      </span>
+    );
+  };
+  
+  // Hover actions; clicks stay off the scene divider's collapse toggle. Messages still on their
+  // way out have no server ID to reply to yet.
+  const renderActions = (msg) => {
+    if (!msg.eventId || msg.system || msg.eventId.startsWith('~')) return null;
+    
+    const action = (label, onClick) => (
+      <button className="message-action" onClick={e => { e.stopPropagation(); onClick(); }}>{label}</button>
+    );
+    
+    return (
+      <span className="message-actions">
+        {action('reply', () => startReply(msg))}
+        {!msg.threadRoot && action('thread', () => startReply(msg, true))}
+        {canEdit(msg) && action('edit', () => startEdit(msg))}
+      </span>
+    );
+  };
+  
+  // Own messages not sent yet: waiting in the outbox, sending, or failed with retry and discard
+  const renderSendStatus = (msg) => {
+    if (!msg.status || msg.status === 'sent') return null;
+    
+    if (msg.status === 'failed' || msg.status === 'not_sent') {
+      return (
+        <span className="send-status failed">
+          {' '}not sent
+          <button className="message-action" onClick={e => { e.stopPropagation(); clientRef.current?.retryMessage(msg.id); }}>retry</button>
+          <button className="message-action" onClick={e => { e.stopPropagation(); clientRef.current?.discardMessage(msg.id); }}>discard</button>
+        </span>
+      );
+    }
+    
+    return <span className="send-status">{msg.status === 'queued' ? ' waiting to send' : ' sending…'}</span>;
+  };
+  
+  // Thread under its root message: a reply count that opens the discussion
+  const renderThread = (msg) => {
+    const replies = msg.eventId ? threadReplies[msg.eventId] : null;
+    if (!replies) return null;
+    
+    const open = openThreads.includes(msg.eventId);
+    return (
+      <div className="thread">
+        <button className="thread-toggle" onClick={() => toggleThread(msg.eventId)}>
+          {open ? 'hide thread' : `${replies.length} ${replies.length === 1 ? 'reply' : 'replies'}`}
+        </button>
+        {open && replies.map(reply => renderMessage(reply))}
+      </div>
+    );
+  };
 
   // Format special messages
-  const renderMessage = (msg, i) => {
+  const renderMessage = (msg) => {
     // Make sure to display user colors properly
     const messageColor = msg.color || '#333333';
     
-    // Handle scene dividers
-    if (msg.type === 'scene') {
+    // Rolls are pending until their commit has been checked
+    const rollVerification = msg.verified === true ? 'verified' : msg.verified === false ? 'unverified' : 'pending';
+    
+    // Deleted rolls stay visible, saying whose roll it was and who deleted it when
+    if (msg.redacted && msg.type === 'roll') {
       return (
-        <div 
-          key={i} 
-          className={`scene-divider ${msg.sceneType} ${msg.isNew ? 'new-message' : 'static-message'}`}
-        >
-          {msg.sceneName}
+        <div key={msg.id} className="message redacted-message redacted-roll">
+          🎲 {describeDeletedRoll(msg, shortSender)}
+          {renderThread(msg)}
         </div>
       );
     }
     
+    // Deleted messages keep their place, and their thread, as a tombstone
+    else if (msg.redacted) {
+      const by = msg.redactedBy && msg.redactedBy !== msg.sender ? ` by ${shortSender(msg.redactedBy)}` : '';
+      return (
+        <div key={msg.id} className="message redacted-message">
+          message deleted{by}{msg.redactReason ? `: ${msg.redactReason}` : ''}
+          {renderThread(msg)}
+        </div>
+      );
+    }
+    
+    // Handle scene dividers; clicking one collapses or expands its messages
+    else if (msg.type === 'scene') {
+      const details = describeScene(msg);
+      const collapsed = collapsedScenes.includes(msg.id);
+      
+      return (
+        <React.Fragment key={msg.id}>
+          <div 
+            id={`scene-${msg.id}`}
+            className={`scene-divider ${msg.sceneType} ${collapsed ? 'collapsed' : ''} ${msg.isNew ? 'new-message' : 'static-message'}`}
+            onClick={() => toggleScene(msg.id)}
+            title={collapsed ? 'Show this scene' : 'Collapse this scene'}
+          >
+            {msg.sceneName}
+            {details && <div className="scene-details">{details}</div>}
+            {collapsed && <div className="scene-details">{hiddenCounts[msg.id] || 0} hidden</div>}
+            {renderSendStatus(msg)}
+            {renderActions(msg)}
+          </div>
+          {renderThread(msg)}
+        </React.Fragment>
+      );
+    }
+    
     // Handle narration - removed the italic styling
     else if (msg.type === 'narrate') {
       return (
         <div 
-          key={i} 
+          key={msg.id} 
           className={`message narration ${msg.isNew ? 'new-message' : 'static-message'}`}
           style={{color: '#333333'}}
         >
+          {renderQuote(msg)}
           {msg.text}
+          {msg.edited && <span className="edited-marker"> (edited)</span>}
+          {renderSendStatus(msg)}
+          {renderActions(msg)}
+          {renderThread(msg)}
         </div>
       );
     }
@@ -734,7 +1397,7 @@ const MatrixRPGApp = () => {
     // Handle regular messages
     return (
       <div 
-        key={i} 
+        key={msg.id} 
         className={`message 
           ${msg.system ? 'system-message' : ''} 
           ${msg.temporary ? 'temporary-message' : ''} 
@@ -742,17 +1405,29 @@ const MatrixRPGApp = () => {
           ${msg.removing ? 'removing' : ''}`}
         style={!msg.system ? {color: messageColor} : {}}
       >
-        {view === 'chat' && !msg.system && !msg.self && (
+        {renderQuote(msg)}
+        {(view === 'chat' || msg.threadRoot) && !msg.system && !msg.self && msg.type !== 'emote' && (
           <span className="sender" style={{color: messageColor}}>{msg.sender ? msg.sender.split(':')[0] + ': ' : ''}</span>
         )}
         {/* For roll messages with username highlighting */}
-        {msg.type === 'roll' ? (
-          <span dangerouslySetInnerHTML={{ 
-            __html: msg.text.replace(`@${msg.username}`, `<span class="username-highlight">${msg.username}</span>`) 
-          }} />
-        ) : (
+        {msg.type === 'roll' ? renderRollText(msg) : (
           <span>{msg.text}</span>
         )}
+        {msg.type === 'roll' && msg.outcome && (
+          <span className={`roll-outcome ${msg.outcome.key}`}> — {msg.outcome.summary}</span>
+        )}
+        {msg.type === 'roll' && (
+          <span 
+            className={`roll-verification ${rollVerification}`}
+            title={msg.verified ? 'Verified against the roll commit' : msg.verifyReason || 'Checking roll…'}
+          >
+            {ROLL_VERIFICATION_MARKS[rollVerification]}
+          </span>
+        )}
+        {msg.edited && <span className="edited-marker"> (edited)</span>}
+        {renderSendStatus(msg)}
+        {renderActions(msg)}
+        {renderThread(msg)}
       </div>
     );
   };
@@ -760,6 +1435,20 @@ const MatrixRPGApp = () => {
   return (
     <div className="app-container">
       <div className="header">
+        {rooms.length > 1 && (
+          <div className="room-tabs">
+            {rooms.map(room => (
+              <button 
+                key={room.roomId}
+                className={room.active ? 'active' : ''}
+                onClick={() => clientRef.current?.switchRoom(room.roomId)}
+              >
+                {room.name}
+                {room.unread > 0 && <span className="room-unread">{room.unread}</span>}
+              </button>
+            ))}
+          </div>
+        )}
         <div className="view-tabs">
           <button 
             className={`${view === 'game' ? 'active' : ''} ${hasUnreadGame ? 'has-unread' : ''}`}
@@ -773,29 +1462,211 @@ const MatrixRPGApp = () => {
           >
             chat
           </button>
+          {view === 'game' && scenes.length > 0 && (
+            <button 
+              className={showSceneIndex ? 'active' : ''}
+              onClick={() => setShowSceneIndex(prev => !prev)}
+            >
+              scenes
+            </button>
+          )}
+          {inRoom && (
+            <button 
+              className={showMembers ? 'active' : ''}
+              onClick={() => setShowMembers(prev => !prev)}
+            >
+              members
+            </button>
+          )}
+          {inRoom && (
+            <button 
+              className={showExport ? 'active' : ''}
+              onClick={() => setShowExport(prev => !prev)}
+            >
+              export
+            </button>
+          )}
         </div>
+        {isLoggedIn && connection && (
+          <div className={`connection-indicator ${connection.status}`} title={describeConnection(connection)}>
+            <span className="connection-dot" />
+            {connection.status !== 'online' && connection.label}
+          </div>
+        )}
       </div>
 
+      {showMembers && (
+        <div className="members-panel">
+          {activeMembers.map(member => (
+            <div key={member.userId} className="member" title={member.userId}>
+              <span 
+                className={`member-presence ${member.currentlyActive ? 'online' : member.presence}`}
+                title={member.presence}
+              />
+              <span className="member-name" style={{color: assignColor(member.userId)}}>{member.displayName}</span>
+              <span className={`member-role ${member.role}`}>{member.role === 'gm' ? 'GM' : 'player'}</span>
+              {member.character && <span className="member-character">{member.character}</span>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {showExport && (
+        <div className="export-panel">
+          <label>
+            format
+            <select 
+              value={exportOptions.format}
+              onChange={e => setExportOptions(prev => ({ ...prev, format: e.target.value }))}
+            >
+              <option value="md">Markdown</option>
+              <option value="html">HTML</option>
+              <option value="json">JSON</option>
+            </select>
+          </label>
+          <label>
+            from
+            <input 
+              type="date"
+              value={exportOptions.from}
+              onChange={e => setExportOptions(prev => ({ ...prev, from: e.target.value }))}
+            />
+          </label>
+          <label>
+            to
+            <input 
+              type="date"
+              value={exportOptions.to}
+              onChange={e => setExportOptions(prev => ({ ...prev, to: e.target.value }))}
+            />
+          </label>
+          {/* Scenes are numbered from the campaign's first one, so picking them needs all of it */}
+          {historyStatus[activeRoomId]?.hasMore !== false && (
+            <button 
+              disabled={historyStatus[activeRoomId]?.loading}
+              onClick={() => clientRef.current?.loadEntireHistory()}
+            >
+              load all scenes
+            </button>
+          )}
+          {historyStatus[activeRoomId]?.hasMore === false && scenes.length > 0 && ['fromScene', 'toScene'].map(key => (
+            <label key={key}>
+              {key === 'fromScene' ? 'first scene' : 'last scene'}
+              <select 
+                value={exportOptions[key]}
+                onChange={e => setExportOptions(prev => ({ ...prev, [key]: e.target.value }))}
+              >
+                <option value="">{key === 'fromScene' ? 'start' : 'latest'}</option>
+                {scenes.map((scene, index) => (
+                  <option key={scene.id} value={index + 1}>{index + 1}. {scene.sceneName}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+          <label>
+            <input 
+              type="checkbox"
+              checked={exportOptions.includeChat}
+              onChange={e => setExportOptions(prev => ({ ...prev, includeChat: e.target.checked }))}
+            />
+            include chat
+          </label>
+          <label>
+            <input 
+              type="checkbox"
+              checked={exportOptions.entireHistory}
+              onChange={e => setExportOptions(prev => ({ ...prev, entireHistory: e.target.checked }))}
+            />
+            load entire campaign
+          </label>
+          <button onClick={runExport}>download</button>
+        </div>
+      )}
+
+      {view === 'game' && showSceneIndex && (
+        <div className="scene-index">
+          <div className="scene-index-actions">
+            <button onClick={collapsePastScenes}>collapse past scenes</button>
+            <button onClick={() => setCollapsedScenes([])}>expand all</button>
+          </div>
+          {scenes.map(scene => (
+            <button 
+              key={scene.id}
+              className={`scene-index-entry ${scene.sceneType}`}
+              onClick={() => jumpToScene(scene.id)}
+            >
+              <span className="scene-index-time">{formatSceneTime(scene.timestamp)}</span>
+              <span className="scene-index-name">{scene.sceneName}</span>
+              <span className="scene-index-details">{describeScene(scene)}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {view === 'game' && activeInitiative?.active && (
+        <div className="initiative-panel">
+          <span className="initiative-round">round {activeInitiative.round}</span>
+          {activeInitiative.entries.map((entry, index) => (
+            <span 
+              key={entry.id}
+              className={`initiative-entry ${index === activeInitiative.turn ? 'current' : ''} ${entry.userId === username ? 'own' : ''}`}
+            >
+              {entry.name} {entry.initiative}
+            </span>
+          ))}
+        </div>
+      )}
+
       <div 
+        ref={messagesContainerRef}
         className={`messages-container ${isTransitioning ? 'fade-out' : 'fade-in'}`}
+        onScroll={handleScroll}
       >
         {currentMessages.length === 0 ? (
-          <div className="help-text">
-            {getCommandHelp()}
-          </div>
+          <>
+            {activeRoomId && historyControl}
+            <div className="help-text">
+              {getCommandHelp()}
+            </div>
+          </>
         ) : (
           <div className="messages">
-            {currentMessages.map((msg, i) => renderMessage(msg, i))}
+            {historyControl}
+            {visibleMessages.map(msg => renderMessage(msg))}
             <div ref={messagesEndRef} />
           </div>
         )}
       </div>
 
+      {writingText && <div className="typing-indicator">{writingText}</div>}
+
+      {purgeStatus && (
+        <div className="purge-status">
+          {purgeStatus.status === 'paused'
+            ? `purge paused, ${purgeStatus.remaining} messages left`
+            : `purging ${purgeStatus.total - purgeStatus.remaining} of ${purgeStatus.total} messages…`}
+          {purgeStatus.status === 'paused' && (
+            <button className="message-action" onClick={() => clientRef.current?.processCommand('/purge resume')}>resume</button>
+          )}
+          <button className="message-action" onClick={() => clientRef.current?.processCommand('/purge cancel')}>cancel</button>
+        </div>
+      )}
+
       <div className="input-container">
+        {editing && (
+          <button className="input-mode" onClick={cancelEdit} title="Esc">
+            cancel edit
+          </button>
+        )}
+        {replyingTo && (
+          <button className="input-mode" onClick={() => setReplyingTo(null)} title="Esc">
+            {replyingTo.thread ? 'in thread' : `replying to ${shortSender(replyingTo.sender)}`} ✕
+          </button>
+        )}
         <input 
           type="text"
           value={input}
-          onChange={(e) => setInput(e.target.value)}
+          onChange={handleInputChange}
           onKeyDown={handleKeyDown}
           placeholder={getCommandHelp()}
         />
@@ -1,11 +1,50 @@
 // MatrixRPGClient.js
-import { createClient } from 'matrix-js-sdk';
+import { createClient, AutoDiscovery, TimelineWindow, MatrixEvent, EventTimeline } from 'matrix-js-sdk';
+import { rollDiceExpression, parseDice, formatDice, resolveStatReferences } from './dice';
+import { RULE_SYSTEMS, RULE_SYSTEM_EVENT, DEFAULT_RULE_SYSTEM, isRuleSystem, getRuleSystem, ruleSystemSetting, interpretRoll } from './ruleSystems';
+import { buildRpgContent, buildEditContent, buildReplyContent, decodeRpgEvent, applyEdit, EDITABLE_TYPES, rollHtml, sceneHtml, narrationHtml } from './rpgEvents';
+import { loadOlm, createCryptoStore, formatSasEmoji } from './encryption';
+import { parseCreateArgs, campaignRoomRequest, NARRATOR_POWER_LEVEL } from './campaignRooms';
+import { CHARACTER_SHEET_EVENT, SHEET_USAGE, normalizeSheet, lookupStat, applySheetEdit, formatSheet } from './characterSheets';
+import { INITIATIVE_EVENT, INITIATIVE_ROLL_EVENT, INIT_USAGE, normalizeTurnOrder, buildInitiative, addCombatant, removeCombatant, advanceTurn, endCombat, findEntry, currentEntry, emptyInitiative, formatInitiative } from './initiative';
+import { parseSceneArgs, describeScene } from './scenes';
+import { EXPORT_FORMATS, parseExportArgs, renderTranscript } from './transcript';
+import { moderationError, userPowerLevel, rpgPostError, memberRole } from './moderation';
+import { ROLL_COMMIT_EVENT, ROLL_ALGORITHM, createRollCommit, rollFromCommit, verifyRoll } from './verifiableRolls';
+import { ROLLS_USAGE, isDeletedMessage, rollAuditEntry, skippedCommits, buildRollAudit, formatRollAudit } from './rollAudit';
+import { parsePurgeArgs, selectPurgeTargets, summarizePurge } from './purge';
+import { connectionStatus } from './connection';
+import { localEchoId, createOutboxItem, findOutboxItem, nextOutboxItem, updateOutboxItem, removeOutboxItem, isConnectionError, restoreOutbox } from './outbox';
+
+const DEFAULT_HOMESERVER = 'https://matrix.org';
+
+// Typing notifications last this long on the server and are refreshed while the user keeps typing
+const TYPING_TIMEOUT_MS = 30000;
+const TYPING_REFRESH_MS = 20000;
+
+// Events per history page, on join and for each scroll back
+const HISTORY_PAGE_SIZE = 50;
+
+// A running /purge, saved after every redaction so a reload can pick it up (see _runPurge)
+const PURGE_STORAGE_KEY = 'matrixPurge';
+
+// Purges send hundreds of redactions, so they wait out more rate limiting than single requests
+const PURGE_RATE_LIMIT_ATTEMPTS = 10;
+
+// Messages not sent yet, kept across reloads (see outbox.js)
+const OUTBOX_STORAGE_KEY = 'matrixOutbox';
+
+// How far back to look for messages missed during a long disconnect, in history pages
+const GAP_FILL_MAX_PAGES = 20;
 
 export class MatrixRPGClient {
   constructor() {
     this.client = null;
-    this.baseUrl = 'https://matrix.org';
-    this.room = null; // Single room for both game and chat
+    // Homeserver for the next login, chosen with /server (defaults to matrix.org)
+    this.baseUrl = localStorage.getItem('matrixBaseUrl') || DEFAULT_HOMESERVER;
+    this.room = null; // Active room: commands, messages and rolls go here
+    this.rooms = []; // Every campaign room we're playing in, in join order
+    this.unreadCounts = {}; // roomId -> messages received while the room was inactive
     this.listeners = {
       message: [],
       roll: [],
@@ -13,37 +52,91 @@ export class MatrixRPGClient {
       error: [],
       roomJoin: [],
       roomLeave: [],
+      roomSwitch: [],
+      unread: [],
       roomState: [],
       scene: [],
-      narrate: []  // Add narrate event listener
+      narrate: [],  // Add narrate event listener
+      sessionExpired: [],
+      rollVerification: [],
+      initiative: [],
+      export: [],
+      edit: [],
+      typing: [],
+      history: [],
+      redaction: [],
+      localEcho: [],
+      purge: [],
+      connection: []
     };
     this.roomState = {};
     this.userId = null;
+    this.sessionExpired = false; // Set after a soft logout until the password is entered again
+    this.refreshTimer = null;
+    this.refreshPromise = null;
+    this.cryptoEnabled = false;
+    this.verification = null; // Device verification in progress, if any
+    this.initiative = {}; // roomId -> last known turn order (see initiative.js)
+    this.typing = null; // { roomId, sentAt } while we're telling a room we're typing
+    this.history = {}; // roomId -> scroll-back state (see _openHistory)
+    this.purge = null; // /purge job being run, if any (see purgeMessages)
+    this.outbox = []; // Messages waiting to be sent, oldest first (see outbox.js)
+    this.outboxFlushing = false;
+    this.syncState = null; // Last state from the SDK's sync loop
+    this.connection = null; // { status, since, error } as last reported (see _reportConnection)
+    this.lastSeen = {}; // roomId -> timestamp of the newest event shown, to find gaps from
+    this.gaps = {}; // roomId -> { buffered, filling } while messages missed offline are fetched (see _openGap)
     
-    // Load saved room
-    this.room = localStorage.getItem('matrixRoom');
+    // Older versions stored the password; never keep it around
+    localStorage.removeItem('matrixPassword');
+    
+    // Load saved rooms
+    this._restoreRooms();
   }
 
   // Authentication
   async login(username, password) {
     try {
+      // Full @user:domain IDs find their homeserver through .well-known
+      const baseUrl = await this._homeserverForLogin(username);
+      
       this.client = createClient({
-        baseUrl: this.baseUrl
+        baseUrl: baseUrl
       });
       
-      const loginResponse = await this.client.loginWithPassword(username, password);
+      // Reuse our device ID so re-logins (e.g. after a soft logout) keep the same device
+      const loginResponse = await this.client.login('m.login.password', {
+        identifier: { type: 'm.id.user', user: username },
+        password: password,
+        device_id: localStorage.getItem('matrixDeviceId') || undefined,
+        initial_device_display_name: 'matrpix',
+        refresh_token: true
+      });
       this.userId = loginResponse.user_id;
+      this.baseUrl = baseUrl;
+      this.sessionExpired = false;
+      this._saveHomeserver(loginResponse.user_id, baseUrl);
       
-      localStorage.setItem('matrixAccessToken', loginResponse.access_token);
-      localStorage.setItem('matrixUserId', loginResponse.user_id);
+      // Only tokens are persisted, never the password
+      this._storeSession(loginResponse);
       localStorage.setItem('matrixUsername', username);
-      localStorage.setItem('matrixPassword', password); // Note: Consider more secure storage
       
+      // The login request ran on a client without a device ID; start a fresh one that has it
+      this.client = createClient({
+        baseUrl: baseUrl,
+        accessToken: loginResponse.access_token,
+        userId: loginResponse.user_id,
+        deviceId: loginResponse.device_id,
+        cryptoStore: createCryptoStore()
+      });
+      
+      await this._initCrypto();
       this.setupClientListeners();
       await this.client.startClient();
+      this._scheduleTokenRefresh();
       
-      // Store the saved room ID but don't auto-join
-      this.room = localStorage.getItem('matrixRoom');
+      // Restore the saved rooms but don't auto-join
+      this._restoreRooms();
       
       // Return login result directly instead of triggering event
       return { success: true, userId: loginResponse.user_id };
@@ -56,47 +149,57 @@ export class MatrixRPGClient {
     }
   }
 
+  // Resume a soft-logged-out session with the password, keeping the same account and device
+  async resumeSession(password) {
+    const userId = localStorage.getItem('matrixUserId') || this.userId;
+    if (!userId) {
+      this._triggerEvent('error', { 
+        context: 'login', 
+        message: 'No session to resume. Usage: /login username password' 
+      });
+      return { success: false };
+    }
+    
+    return this.login(userId, password);
+  }
+
   async loginWithToken() {
     const token = localStorage.getItem('matrixAccessToken');
     const userId = localStorage.getItem('matrixUserId');
     
     if (!token || !userId) {
-      // Try username/password if token fails
-      const username = localStorage.getItem('matrixUsername');
-      const password = localStorage.getItem('matrixPassword');
-      
-      if (username && password) {
-        return this.login(username, password);
-      }
-      
       return false;
     }
 
     try {
+      const baseUrl = this._getSavedHomeserver(userId) || this.baseUrl;
       this.client = createClient({
-        baseUrl: this.baseUrl,
+        baseUrl: baseUrl,
         accessToken: token,
-        userId: userId
+        userId: userId,
+        deviceId: localStorage.getItem('matrixDeviceId') || undefined,
+        cryptoStore: createCryptoStore()
       });
 
+      this.baseUrl = baseUrl;
       this.userId = userId;
+      
+      // The stored access token may have expired while the tab was closed
+      if (this._tokenExpiresIn() <= 0) {
+        await this._refreshAccessToken();
+      }
+      
+      await this._initCrypto();
       this.setupClientListeners();
       await this.client.startClient();
+      this._scheduleTokenRefresh();
       
-      // Important: DON'T auto-join rooms even if we have saved room ID
-      // We'll just save the room ID for later but not join automatically
-      this.room = localStorage.getItem('matrixRoom');
+      // Important: DON'T auto-join rooms even if we have saved room IDs
+      // We'll just restore them for later but not join automatically
+      this._restoreRooms();
       
       return true;
     } catch (error) {
-      // Try username/password if token fails
-      const username = localStorage.getItem('matrixUsername');
-      const password = localStorage.getItem('matrixPassword');
-      
-      if (username && password) {
-        return this.login(username, password);
-      }
-      
       this._triggerEvent('error', { 
         context: 'tokenLogin', 
         message: error.message || 'Token login failed' 
@@ -105,379 +208,1385 @@ export class MatrixRPGClient {
     }
   }
 
-  logout() {
-    if (this.client) {
-      this.client.stopClient();
-      this.client = null;
+  // Session tokens
+  _storeSession(response) {
+    localStorage.setItem('matrixAccessToken', response.access_token);
+    
+    if (response.user_id) {
+      localStorage.setItem('matrixUserId', response.user_id);
+    }
+    if (response.device_id) {
+      localStorage.setItem('matrixDeviceId', response.device_id);
+    }
+    
+    // Servers without refresh token support issue non-expiring access tokens
+    if (response.refresh_token) {
+      localStorage.setItem('matrixRefreshToken', response.refresh_token);
+    }
+    if (response.expires_in_ms) {
+      localStorage.setItem('matrixTokenExpiry', String(Date.now() + response.expires_in_ms));
+    } else {
+      localStorage.removeItem('matrixTokenExpiry');
     }
+  }
+
+  _clearSession() {
+    clearTimeout(this.refreshTimer);
     localStorage.removeItem('matrixAccessToken');
-    localStorage.removeItem('matrixUserId');
-    localStorage.removeItem('matrixUsername');
-    localStorage.removeItem('matrixPassword');
-    localStorage.removeItem('matrixRoom');
-    this.userId = null;
-    this.room = null;
-    this.roomState = {};
+    localStorage.removeItem('matrixRefreshToken');
+    localStorage.removeItem('matrixTokenExpiry');
   }
 
-  // Room management
-  async joinRoom(roomIdOrAlias, inviteCode = null) {
-    if (!this.client) {
-      this._triggerEvent('error', { 
-        context: 'joinRoom', 
-        message: 'Not logged in' 
+  _tokenExpiresIn() {
+    const expiry = Number(localStorage.getItem('matrixTokenExpiry'));
+    return expiry ? expiry - Date.now() : Infinity;
+  }
+
+  _scheduleTokenRefresh() {
+    clearTimeout(this.refreshTimer);
+    
+    const expiresIn = this._tokenExpiresIn();
+    if (expiresIn === Infinity) return;
+    
+    // Refresh a minute early so requests never go out with an expired token
+    this.refreshTimer = setTimeout(() => {
+      this._refreshAccessToken().catch(error => {
+        if (error.errcode === 'M_UNKNOWN_TOKEN') {
+          // The refresh token itself was rejected; only the password can resume
+          this._expireSession(true);
+        } else {
+          // Probably offline; try again shortly
+          this.refreshTimer = setTimeout(() => this._scheduleTokenRefresh(), 30000);
+        }
       });
-      return false;
+    }, Math.max(expiresIn - 60000, 0));
+  }
+
+  async _refreshAccessToken() {
+    const refreshToken = localStorage.getItem('matrixRefreshToken');
+    if (!this.client || !refreshToken) {
+      throw new Error('No refresh token available');
+    }
+    
+    // Several failing requests can ask for a refresh at once; share one request
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.client.refreshToken(refreshToken)
+        .then(response => {
+          this.client.setAccessToken(response.access_token);
+          this._storeSession(response);
+          this._scheduleTokenRefresh();
+          return true;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
     }
+    
+    return this.refreshPromise;
+  }
 
-    try {
-      const joinOptions = inviteCode ? { inviteSigningKey: inviteCode } : undefined;
-      const room = await this.client.joinRoom(roomIdOrAlias, joinOptions);
-      this.room = room.roomId;
-      localStorage.setItem('matrixRoom', room.roomId);
-      
-      // Initialize room state
-      await this._updateRoomState(room.roomId);
-      
-      // Load room history
-      await this._loadRoomHistory(room.roomId);
-      
-      this._triggerEvent('roomJoin', { 
-        roomId: room.roomId,
-        name: room.name
-      });
-      
-      return true;
-    } catch (error) {
-      this._triggerEvent('error', { 
-        context: 'joinRoom', 
-        message: error.message || 'Failed to join room' 
-      });
-      return false;
+  async _handleSessionLoggedOut(error) {
+    // Ignore repeats while a refresh is already under way
+    if (this.sessionExpired || !this.client || this.refreshPromise) return;
+    
+    // Soft logout: the server kept our device, so a refreshed token or the password resumes it
+    if (error.data?.soft_logout) {
+      try {
+        await this._refreshAccessToken();
+        
+        // Sync stops on an unknown token; restart it with the new one
+        this.client.stopClient();
+        await this.client.startClient();
+      } catch (refreshError) {
+        this._expireSession(true);
+      }
+      return;
     }
+    
+    this._expireSession(false);
   }
 
-  async _loadRoomHistory(roomId) {
-    try {
-      const room = this.client.getRoom(roomId);
-      if (!room) return false;
-      
-      // Store processed events to avoid duplicates
-      const processedEvents = new Set();
-      
-      // Function to process a batch of events
-      const processEvents = (events) => {
-        events.forEach(event => {
-          const eventId = event.getId();
-          
-          // Skip processed or redacted events
-          if (processedEvents.has(eventId) || event.isRedacted()) return;
-          
-          processedEvents.add(eventId);
-          
-          if (event.getType() === 'm.room.message') {
-            const content = event.getContent();
-            const sender = event.getSender();
-            
-            // Get power level
-            let powerLevel = 0;
-            if (this.roomState[roomId] && 
-                this.roomState[roomId].members && 
-                this.roomState[roomId].members[sender]) {
-              powerLevel = this.roomState[roomId].members[sender].powerLevel;
-            }
-            
-            // Check the message type
-            const messageType = content.formatted_body?.type || 'chat'; // Default to chat
-            
-            // Check if it's a roll message
-            if (content.format === 'org.matrix.custom.rpg' && messageType === 'roll') {
-              // Handle roll message
-              this._triggerEvent('roll', {
-                sender,
-                roomId,
-                text: content.body,
-                dice: content.formatted_body.dice,
-                rolls: content.formatted_body.rolls,
-                hits: content.formatted_body.hits,
-                highEvenOdd: content.formatted_body.highEvenOdd,
-                lowEvenOdd: content.formatted_body.lowEvenOdd,
-                powerLevel,
-                historical: true
-              });
-            } 
-            // Check if it's a scene message
-            else if (content.format === 'org.matrix.custom.rpg' && messageType === 'scene') {
-              this._triggerEvent('scene', {
-                sender,
-                roomId,
-                text: content.body,
-                sceneName: content.formatted_body.sceneName,
-                sceneType: content.formatted_body.sceneType,
-                powerLevel,
-                historical: true
-              });
-            }
-            // Check if it's a narration message
-            else if (content.format === 'org.matrix.custom.rpg' && messageType === 'narrate') {
-              this._triggerEvent('message', {
-                sender,
-                roomId,
-                text: content.body,
-                type: 'narrate',
-                powerLevel,
-                historical: true
-              });
-            }
-            else {
-              // Handle regular message
-              this._triggerEvent('message', {
-                sender,
-                roomId,
-                text: content.body,
-                type: messageType, // 'game' or 'chat'
-                powerLevel,
-                historical: true
-              });
-            }
-          }
-        });
-      };
-      
-      // Initial timeline events
-      const timeline = room.getLiveTimeline().getEvents();
-      processEvents(timeline);
-      
-      // Load historical messages through pagination
-      const loadMoreHistory = async () => {
-        try {
-          // Check if we can paginate backwards
-          const timelineWindow = this.client.createTimelineWindow(
-            room.getEventTimeline(room.getLiveTimeline().getEvents()[0]),
-            50 // Batch size
-          );
-          
-          // If we can paginate, load more history
-          if (timelineWindow.canPaginate('b')) {
-            await timelineWindow.paginate('b', 50);
-            const events = timelineWindow.getEvents();
-            processEvents(events);
-            
-            // Continue loading if we can still paginate
-            if (timelineWindow.canPaginate('b')) {
-              // Use setTimeout to prevent blocking the main thread
-              setTimeout(() => loadMoreHistory(), 100);
-            }
-          }
-        } catch (error) {
-          // Handle rate limiting or other errors
-          console.error('Error loading more history:', error);
-          // If rate limited, wait a bit longer
-          if (error.errcode === 'M_LIMIT_EXCEEDED') {
-            const retryAfter = error.data?.retry_after_ms || 5000;
-            setTimeout(() => loadMoreHistory(), retryAfter);
-          }
-        }
-      };
-      
-      // Start loading history
-      await loadMoreHistory();
-      
-      return true;
-    } catch (error) {
-      console.error('Error loading room history:', error);
-      return false;
+  _expireSession(soft) {
+    if (!this.client) return;
+    
+    this.sessionExpired = true;
+    this.client.stopClient();
+    this._clearSession();
+    
+    // Hard logout: the device is gone on the server too
+    if (!soft) {
+      this.client.clearStores().catch(() => {});
+      this.client = null;
+      localStorage.removeItem('matrixDeviceId');
     }
+    
+    this._triggerEvent('sessionExpired', { 
+      soft, 
+      userId: this.userId 
+    });
   }
 
-  async _updateRoomState(roomId) {
+  // Encryption
+  async _initCrypto() {
     try {
-      const powerLevels = await this.client.getStateEvent(roomId, 'm.room.power_levels');
-      const membersResponse = await this.client.getJoinedRoomMembers(roomId);
-      const members = Object.keys(membersResponse.joined || {}).map(userId => ({ userId }));
-      
-      // Store room state
-      this.roomState[roomId] = {
-        members: {},
-        powerLevels: powerLevels
-      };
-      
-      // Store member power levels
-      members.forEach(member => {
-        const userId = member.userId;
-        const powerLevel = powerLevels.users[userId] || 0;
-        
-        this.roomState[roomId].members[userId] = {
-          powerLevel: powerLevel
-        };
-      });
-      
-      this._triggerEvent('roomState', { 
-        roomId,
-        state: this.roomState[roomId]
-      });
+      await loadOlm();
+      await this.client.initCrypto();
       
-      return this.roomState[roomId];
+      // Players rarely verify every device before a session; still encrypt to them
+      // and let /verify settle the ones that matter
+      this.client.setGlobalErrorOnUnknownDevices(false);
+      this.cryptoEnabled = true;
     } catch (error) {
+      this.cryptoEnabled = false;
       this._triggerEvent('error', { 
-        context: 'roomState', 
-        message: error.message || 'Failed to update room state' 
+        context: 'crypto', 
+        message: `Encryption unavailable, encrypted rooms can't be read: ${error.message}` 
       });
-      return null;
     }
   }
 
-  // Messaging
-  async sendMessage(text, type = 'chat') {
-    if (!this.client || !this.room) {
+  _requireCrypto(context) {
+    if (!this.client || !this.cryptoEnabled) {
       this._triggerEvent('error', { 
-        context: 'sendMessage', 
-        message: 'Not in a room or not logged in' 
+        context, 
+        message: this.client ? 'Encryption is not available' : 'Not logged in' 
       });
       return false;
     }
+    return true;
+  }
+
+  // Device verification (emoji comparison)
+  async requestDeviceVerification(userId) {
+    if (!this._requireCrypto('verify')) return false;
 
     try {
-      // Send message with custom format to indicate type - no need to replace + anymore
-      await this.client.sendEvent(this.room, "m.room.message", {
-        msgtype: "m.text",
-        body: text,
-        format: "org.matrix.custom.rpg",
-        formatted_body: {
-          type: type // 'game' or 'chat'
-        }
-      });
+      const request = await this.client.requestVerification(userId);
+      this._trackVerification(request);
+      this._systemMessage(`Verification request sent to ${userId}. Waiting for them to accept…`);
       return true;
     } catch (error) {
       this._triggerEvent('error', { 
-        context: 'sendMessage', 
-        message: error.message || 'Failed to send message' 
+        context: 'verify', 
+        message: error.message || 'Failed to request verification' 
       });
       return false;
     }
   }
-  
-  // Scene creation
-  async sendScene(sceneName, sceneType = 'regular') {
-    if (!this.client || !this.room) {
+
+  async respondToVerification(action) {
+    const verification = this.verification;
+    if (!verification) {
       this._triggerEvent('error', { 
-        context: 'sendScene', 
-        message: 'Not in a room or not logged in' 
+        context: 'verify', 
+        message: 'No verification in progress' 
       });
       return false;
     }
 
     try {
-      // Format the scene message
-      const sceneText = `${sceneName}`;
-      
-      // Send as a special scene message
-      await this.client.sendEvent(this.room, "m.room.message", {
-        msgtype: "m.text",
-        body: sceneText,
-        format: "org.matrix.custom.rpg",
-        formatted_body: {
-          type: "scene",
-          sceneName: sceneName,
-          sceneType: sceneType
+      if (action === 'accept') {
+        await verification.request.accept();
+      } else if (action === 'confirm') {
+        if (!verification.sas) throw new Error('No emoji to confirm yet');
+        await verification.sas.confirm();
+        this._systemMessage('Emoji confirmed. Waiting for the other device…');
+      } else {
+        // Cancelling during emoji comparison reports a mismatch to the other side
+        if (verification.sas) {
+          verification.sas.mismatch();
+        } else {
+          await verification.request.cancel();
         }
-      });
-      
+      }
       return true;
     } catch (error) {
       this._triggerEvent('error', { 
-        context: 'sendScene', 
-        message: error.message || 'Failed to send scene' 
+        context: 'verify', 
+        message: error.message || 'Verification failed' 
       });
       return false;
     }
   }
-  
-  // Narration
-  async sendNarration(text) {
-    if (!this.client || !this.room) {
+
+  _trackVerification(request) {
+    this.verification = { request, sas: null, started: false };
+
+    request.on('change', () => {
+      if (this.verification?.request !== request) return;
+
+      if (request.done) {
+        this._systemMessage(`Verified ${request.otherUserId}'s device`);
+        this.verification = null;
+      } else if (request.cancelled) {
+        this._systemMessage(`Verification with ${request.otherUserId} was cancelled`);
+        this.verification = null;
+      } else if (!this.verification.started) {
+        // We start the emoji comparison once they accept ours; for theirs, wait for their start
+        if (request.ready && request.initiatedByMe) {
+          this._startSas(request.beginKeyVerification('m.sas.v1'));
+        } else if (request.started && request.verifier) {
+          this._startSas(request.verifier);
+        }
+      }
+    });
+  }
+
+  _startSas(verifier) {
+    const verification = this.verification;
+    verification.started = true;
+
+    verifier.on('show_sas', (sas) => {
+      verification.sas = sas;
+      const code = sas.sas.emoji ? formatSasEmoji(sas.sas.emoji) : sas.sas.decimal.join(' ');
+      this._systemMessage(`Compare with ${verification.request.otherUserId}: ${code}. Use /verify confirm if they match, /verify cancel if not.`);
+    });
+
+    verifier.verify().catch(error => {
       this._triggerEvent('error', { 
-        context: 'sendNarration', 
-        message: 'Not in a room or not logged in' 
+        context: 'verify', 
+        message: error.message || 'Verification failed' 
       });
-      return false;
-    }
+    });
+  }
+
+  // Key backup
+  async createKeyBackup() {
+    if (!this._requireCrypto('backup')) return false;
 
     try {
-      // Send as a special narration message
-      await this.client.sendEvent(this.room, "m.room.message", {
-        msgtype: "m.text",
-        body: text,
-        format: "org.matrix.custom.rpg",
-        formatted_body: {
-          type: "narrate"
-        }
-      });
-      
+      const existing = await this.client.getKeyBackupVersion();
+      if (existing) {
+        this._systemMessage(`Key backup version ${existing.version} already exists. Use /restore RECOVERY_KEY on a new device.`);
+        return true;
+      }
+
+      const info = await this.client.prepareKeyBackupVersion();
+      await this.client.createKeyBackupVersion(info);
+      this._systemMessage(`Key backup created. Save this recovery key, it is the only way to restore your keys: ${info.recovery_key}`);
       return true;
     } catch (error) {
       this._triggerEvent('error', { 
-        context: 'sendNarration', 
-        message: error.message || 'Failed to send narration' 
+        context: 'backup', 
+        message: error.message || 'Failed to create key backup' 
       });
       return false;
     }
   }
-  
-  // Message handling
-  async deleteLastMessage() {
-    if (!this.client || !this.room) {
+
+  async restoreKeyBackup(recoveryKey) {
+    if (!this._requireCrypto('restore')) return false;
+
+    try {
+      const backupInfo = await this.client.getKeyBackupVersion();
+      if (!backupInfo) {
+        throw new Error('No key backup found on the server');
+      }
+
+      // Restored keys also decrypt messages that failed earlier
+      const result = await this.client.restoreKeyBackupWithRecoveryKey(recoveryKey, undefined, undefined, backupInfo);
+      this._systemMessage(`Restored ${result.imported} of ${result.total} keys from backup`);
+      return true;
+    } catch (error) {
       this._triggerEvent('error', { 
-        context: 'deleteMessage', 
-        message: 'Not in a room or not logged in' 
+        context: 'restore', 
+        message: error.message || 'Failed to restore key backup' 
       });
       return false;
     }
+  }
+
+  // Homeserver selection
+  async resolveHomeserver(serverOrDomain) {
+    // Explicit URLs are used as-is
+    if (/^https?:\/\//i.test(serverOrDomain)) {
+      return serverOrDomain.replace(/\/+$/, '');
+    }
+    
+    const domain = serverOrDomain.replace(/\/+$/, '');
+    const config = await AutoDiscovery.findClientConfig(domain);
+    const homeserver = config['m.homeserver'];
+    
+    if (homeserver.state === AutoDiscovery.SUCCESS) {
+      return homeserver.base_url.replace(/\/+$/, '');
+    }
+    
+    // No .well-known published: assume the domain serves the client API itself
+    if (homeserver.state === AutoDiscovery.PROMPT) {
+      return `https://${domain}`;
+    }
+    
+    throw new Error(`Could not find a homeserver for ${domain}: ${homeserver.error || 'discovery failed'}`);
+  }
 
+  async _homeserverForLogin(username) {
+    const match = username.match(/^@[^:]+:(.+)$/);
+    if (!match) return this.baseUrl;
+    
+    // Reuse what we discovered last time for this account
+    return this._getSavedHomeserver(username) || this.resolveHomeserver(match[1]);
+  }
+
+  async setHomeserver(serverOrDomain) {
     try {
-      const room = this.client.getRoom(this.room);
-      if (!room) return false;
-      
-      // Get timeline events
-      const timeline = room.getLiveTimeline().getEvents();
-      
-      // Find last message sent by current user
-      let lastMessageEvent = null;
-      for (let i = timeline.length - 1; i >= 0; i--) {
-        const event = timeline[i];
-        if (event.getType() === 'm.room.message' && event.getSender() === this.userId) {
-          lastMessageEvent = event;
-          break;
-        }
-      }
+      const baseUrl = await this.resolveHomeserver(serverOrDomain);
+      this.baseUrl = baseUrl;
+      localStorage.setItem('matrixBaseUrl', baseUrl);
       
-      if (!lastMessageEvent) {
-        this._triggerEvent('error', { 
-          context: 'deleteMessage', 
-          message: 'No messages found to delete' 
-        });
-        return false;
-      }
+      this._systemMessage(this.client 
+        ? `Homeserver set to ${baseUrl}. It will be used on your next login.` 
+        : `Homeserver set to ${baseUrl}`);
       
-      // Redact the message
-      await this.client.redactEvent(this.room, lastMessageEvent.getId());
       return true;
     } catch (error) {
       this._triggerEvent('error', { 
-        context: 'deleteMessage', 
-        message: error.message || 'Failed to delete message' 
+        context: 'server', 
+        message: error.message || 'Failed to set homeserver' 
       });
       return false;
     }
   }
-  
-  async clearAllMessages() {
-    if (!this.client || !this.room) {
-      this._triggerEvent('error', { 
-        context: 'clearMessages', 
-        message: 'Not in a room or not logged in' 
-      });
-      return false;
+
+  // Homeservers are remembered per account so token logins reach the right server
+  _getSavedHomeserver(userId) {
+    const homeservers = JSON.parse(localStorage.getItem('matrixHomeservers') || '{}');
+    return homeservers[userId] || null;
+  }
+
+  _saveHomeserver(userId, baseUrl) {
+    const homeservers = JSON.parse(localStorage.getItem('matrixHomeservers') || '{}');
+    homeservers[userId] = baseUrl;
+    localStorage.setItem('matrixHomeservers', JSON.stringify(homeservers));
+  }
+
+  async logout() {
+    if (this.client) {
+      // Invalidate the token (and device) on the server, not just locally
+      try {
+        await this.client.logout(true);
+        
+        // The device is gone, so are its encryption keys
+        await this.client.clearStores();
+      } catch (error) {
+        this._triggerEvent('error', { 
+          context: 'logout', 
+          message: error.message || 'Failed to log out on the server' 
+        });
+        this.client.stopClient();
+      }
+      this.client = null;
+    }
+    this._clearSession();
+    localStorage.removeItem('matrixUserId');
+    localStorage.removeItem('matrixUsername');
+    localStorage.removeItem('matrixDeviceId');
+    localStorage.removeItem('matrixRoom');
+    localStorage.removeItem('matrixRooms');
+    localStorage.removeItem(PURGE_STORAGE_KEY);
+    localStorage.removeItem(OUTBOX_STORAGE_KEY);
+    this.purge = null;
+    this.outbox = [];
+    this.syncState = null;
+    this.connection = null;
+    this.lastSeen = {};
+    this.gaps = {};
+    this.userId = null;
+    this.room = null;
+    this.rooms = [];
+    this.unreadCounts = {};
+    this.initiative = {};
+    this.typing = null;
+    this.history = {};
+    this.roomState = {};
+    this.sessionExpired = false;
+  }
+
+  // Room management
+  async joinRoom(roomIdOrAlias, inviteCode = null) {
+    if (!this.client) {
+      this._triggerEvent('error', { 
+        context: 'joinRoom', 
+        message: 'Not logged in' 
+      });
+      return false;
+    }
+
+    try {
+      const joinOptions = inviteCode ? { inviteSigningKey: inviteCode } : undefined;
+      const room = await this.client.joinRoom(roomIdOrAlias, joinOptions);
+      if (!this.rooms.includes(room.roomId)) {
+        this.rooms.push(room.roomId);
+      }
+      this.room = room.roomId;
+      this.unreadCounts[room.roomId] = 0;
+      this._saveRooms();
+      
+      // Initialize room state
+      await this._updateRoomState(room.roomId);
+      
+      // Latest page of history; older messages load as the user scrolls up
+      await this._openHistory(room.roomId).catch(error => {
+        console.error('Error loading room history:', error);
+      });
+      
+      this._triggerEvent('roomJoin', { 
+        roomId: room.roomId,
+        name: room.name
+      });
+      this._handleInitiativeChange(room.roomId, false);
+      
+      return true;
+    } catch (error) {
+      this._triggerEvent('error', { 
+        context: 'joinRoom', 
+        message: error.message || 'Failed to join room' 
+      });
+      return false;
+    }
+  }
+
+  // Create a campaign room with the GM preset, invite the players and make it active
+  async createCampaignRoom(options) {
+    if (!this.client) {
+      this._triggerEvent('error', { 
+        context: 'createRoom', 
+        message: 'Not logged in' 
+      });
+      return false;
+    }
+    
+    let roomId;
+    try {
+      const response = await this.client.createRoom(campaignRoomRequest(options, this.userId));
+      roomId = response.room_id;
+    } catch (error) {
+      this._triggerEvent('error', { 
+        context: 'createRoom', 
+        message: error.errcode === 'M_ROOM_IN_USE'
+          ? `The alias #${options.alias} is already taken`
+          : error.message || 'Failed to create room'
+      });
+      return false;
+    }
+    
+    // We're already a member; joining loads the room like any other
+    const joined = await this.joinRoom(roomId);
+    if (joined) {
+      const invited = options.invites.length > 0 ? ` Invited ${options.invites.join(', ')}.` : '';
+      this._systemMessage(`Created ${options.name} (#${options.alias}, ${options.joinRule}).${invited}`);
+    }
+    return joined;
+  }
+
+  // Make another joined room active without leaving the current one
+  switchRoom(target) {
+    const roomId = this._findRoom(target);
+    if (!roomId) {
+      this._triggerEvent('error', { 
+        context: 'switchRoom', 
+        message: `Not in a room matching "${target}". Use /rooms to list your rooms.` 
+      });
+      return false;
+    }
+    
+    this.room = roomId;
+    this.unreadCounts[roomId] = 0;
+    this._saveRooms();
+    
+    if (!this.roomState[roomId]) {
+      this._updateRoomState(roomId);
+    }
+    
+    this._triggerEvent('roomSwitch', { 
+      roomId,
+      name: this._roomName(roomId)
+    });
+    this._handleInitiativeChange(roomId, false);
+    return true;
+  }
+
+  // Joined rooms with their unread counts, in join order
+  getRooms() {
+    return this.rooms.map((roomId, index) => ({
+      index: index + 1,
+      roomId,
+      name: this._roomName(roomId),
+      active: roomId === this.room,
+      unread: this.unreadCounts[roomId] || 0
+    }));
+  }
+
+  // Accepts a /rooms list number, room ID, alias or (case-insensitive) name
+  _findRoom(target) {
+    const query = String(target).trim();
+    const index = parseInt(query, 10);
+    if (String(index) === query) {
+      return this.rooms[index - 1] || null;
+    }
+    
+    return this.rooms.find(roomId => {
+      if (roomId === query) return true;
+      const room = this.client?.getRoom(roomId);
+      if (!room) return false;
+      return room.getCanonicalAlias() === query || 
+        room.getAltAliases().includes(query) ||
+        room.name.toLowerCase() === query.toLowerCase();
+    }) || null;
+  }
+
+  _roomName(roomId) {
+    return this.client?.getRoom(roomId)?.name || roomId;
+  }
+
+  _restoreRooms() {
+    this.room = localStorage.getItem('matrixRoom');
+    
+    try {
+      this.rooms = JSON.parse(localStorage.getItem('matrixRooms')) || [];
+    } catch (error) {
+      this.rooms = [];
+    }
+    
+    // Saved by versions that only knew one room
+    if (this.room && !this.rooms.includes(this.room)) {
+      this.rooms.push(this.room);
+    }
+  }
+
+  _saveRooms() {
+    localStorage.setItem('matrixRooms', JSON.stringify(this.rooms));
+    if (this.room) {
+      localStorage.setItem('matrixRoom', this.room);
+    } else {
+      localStorage.removeItem('matrixRoom');
+    }
+  }
+
+  // History is read on demand: the latest page when a room is joined, older pages as the user
+  // scrolls up. One TimelineWindow per room remembers how far back we've read.
+  _openHistory(roomId) {
+    if (this.history[roomId]) return this.history[roomId].ready;
+    
+    const room = this.client?.getRoom(roomId);
+    if (!room) return Promise.resolve(null);
+    
+    const timelineWindow = new TimelineWindow(this.client, room.getUnfilteredTimelineSet(), { windowLimit: Infinity });
+    const history = { timelineWindow, processed: new Set(), loading: null, hasMore: true };
+    this.history[roomId] = history;
+    
+    history.ready = (async () => {
+      await this._withRateLimit(() => timelineWindow.load(undefined, HISTORY_PAGE_SIZE));
+      await this._emitHistory(roomId, history);
+      history.hasMore = timelineWindow.canPaginate('b');
+      this._triggerEvent('history', { 
+        roomId,
+        loading: false,
+        hasMore: history.hasMore,
+        loaded: history.processed.size
+      });
+      return history;
+    })().catch(error => {
+      // Try again next time
+      delete this.history[roomId];
+      throw error;
+    });
+    
+    return history.ready;
+  }
+
+  // Show the window's events we haven't shown yet, oldest first
+  async _emitHistory(roomId, history) {
+    const events = history.timelineWindow.getEvents();
+    for (const [index, event] of events.entries()) {
+      const eventId = event.getId();
+      if (history.processed.has(eventId)) continue;
+      history.processed.add(eventId);
+      
+      // Encrypted history is parsed after decryption, in order
+      if (event.isEncrypted()) {
+        await this.client.decryptEventIfNeeded(event);
+        if (event.isDecryptionFailure()) continue;
+      }
+      
+      if (event.isRedacted()) {
+        this._emitRollTombstone(roomId, event, events.slice(0, index));
+        continue;
+      }
+      
+      this._markSeen(roomId, event);
+      this._emitRpgEvent(decodeRpgEvent(event), { historical: true });
+    }
+  }
+
+  // A deleted message whose sender's previous event was a roll commit was that roll (see
+  // rollAudit.js). Its content is gone, but the commit still says what was rolled.
+  _emitRollTombstone(roomId, event, earlierEvents) {
+    if (!isDeletedMessage(event)) return;
+    
+    const sender = event.getSender();
+    const previous = [...earlierEvents].reverse().find(earlier => earlier.getSender() === sender);
+    if (!previous || previous.getType() !== ROLL_COMMIT_EVENT) return;
+    
+    const redaction = event.getUnsigned().redacted_because;
+    this._triggerEvent('roll', { 
+      roomId,
+      eventId: event.getId(),
+      sender,
+      timestamp: event.getTs(),
+      type: 'roll',
+      expression: previous.getContent().expression || null,
+      total: null,
+      commitEventId: previous.getId(),
+      redacted: true,
+      redactedBy: redaction?.sender || null,
+      redactedAt: redaction?.origin_server_ts || null,
+      historical: true
+    });
+  }
+
+  // Every roll in the room's loaded history, per player: rolled, deleted or never revealed
+  async showRollAudit({ entireHistory = false } = {}) {
+    if (!this.client || !this.room) {
+      this._triggerEvent('error', { 
+        context: 'rolls', 
+        message: 'Not in a room or not logged in' 
+      });
+      return false;
+    }
+
+    try {
+      const roomId = this.room;
+      const room = this.client.getRoom(roomId);
+      if (!room) return false;
+      
+      if (entireHistory) {
+        this._systemMessage('Loading the entire campaign for the roll log…');
+        if (!await this.loadEntireHistory(roomId)) {
+          throw new Error('Could not load the room history');
+        }
+      } else {
+        await this._openHistory(roomId);
+      }
+      
+      const entries = this._loadedEvents(roomId)
+        .filter(event => !event.isDecryptionFailure())
+        .map(rollAuditEntry)
+        .filter(Boolean);
+      
+      const audit = buildRollAudit(entries);
+      const nameOf = userId => room.getMember(userId)?.name || userId.substring(1).split(':')[0];
+      this._systemMessage(`Rolls in ${room.name}:\n${formatRollAudit(audit, nameOf)}`);
+      return true;
+    } catch (error) {
+      this._triggerEvent('error', { 
+        context: 'rolls', 
+        message: error.message || 'Failed to build the roll log' 
+      });
+      return false;
+    }
+  }
+
+  // Wait out M_LIMIT_EXCEEDED as long as the server asks, a few times, before giving up
+  async _withRateLimit(request, attempts = 5) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        if (error.errcode !== 'M_LIMIT_EXCEEDED' || attempt >= attempts) throw error;
+        const retryAfter = error.data?.retry_after_ms || 5000;
+        await new Promise(resolve => setTimeout(resolve, retryAfter));
+      }
+    }
+  }
+
+  // Load one more page of older messages. Progress goes to history listeners as
+  // { roomId, loading, hasMore, loaded }; calls while a page is loading wait for that page.
+  async loadOlderMessages(roomId = this.room) {
+    if (!this.client || !roomId) return false;
+    
+    try {
+      const history = await this._openHistory(roomId);
+      if (!history) return false;
+      
+      if (!history.loading && history.hasMore) {
+        this._triggerEvent('history', { 
+          roomId,
+          loading: true,
+          hasMore: true,
+          loaded: history.processed.size
+        });
+        
+        history.loading = (async () => {
+          await this._withRateLimit(() => history.timelineWindow.paginate('b', HISTORY_PAGE_SIZE));
+          await this._emitHistory(roomId, history);
+          history.hasMore = history.timelineWindow.canPaginate('b');
+        })().finally(() => {
+          history.loading = null;
+        });
+      }
+      await history.loading;
+      
+      this._triggerEvent('history', { 
+        roomId,
+        loading: false,
+        hasMore: history.hasMore,
+        loaded: history.processed.size
+      });
+      return true;
+    } catch (error) {
+      this._triggerEvent('history', { 
+        roomId,
+        loading: false,
+        hasMore: true,
+        loaded: this.history[roomId]?.processed.size || 0
+      });
+      this._triggerEvent('error', { 
+        context: 'history', 
+        message: error.message || 'Failed to load older messages' 
+      });
+      return false;
+    }
+  }
+
+  // Page back to the room's creation, e.g. before exporting the whole campaign
+  async loadEntireHistory(roomId = this.room) {
+    const history = await this._openHistory(roomId).catch(() => null);
+    if (!history) return false;
+    
+    while (history.hasMore) {
+      if (!await this.loadOlderMessages(roomId)) return false;
+    }
+    return true;
+  }
+
+  // Every event read so far: the history window plus whatever arrived live since
+  _loadedEvents(roomId) {
+    const room = this.client?.getRoom(roomId);
+    const windowEvents = this.history[roomId]?.timelineWindow.getEvents() || [];
+    const seen = new Set(windowEvents.map(event => event.getId()));
+    const liveEvents = (room?.getLiveTimeline().getEvents() || []).filter(event => !seen.has(event.getId()));
+    return [...windowEvents, ...liveEvents];
+  }
+
+  async _updateRoomState(roomId) {
+    try {
+      const powerLevels = await this.client.getStateEvent(roomId, 'm.room.power_levels');
+      const membersResponse = await this.client.getJoinedRoomMembers(roomId);
+      const members = Object.entries(membersResponse.joined || {}).map(([userId, profile]) => ({ 
+        userId,
+        displayName: profile?.display_name || null
+      }));
+      
+      // Room's chosen rule system, even/odd until a GM picks one
+      let ruleSystem = DEFAULT_RULE_SYSTEM;
+      try {
+        ruleSystem = ruleSystemSetting(await this.client.getStateEvent(roomId, RULE_SYSTEM_EVENT, ''));
+      } catch (error) {
+        // M_NOT_FOUND: no rule system set for this room yet
+      }
+      
+      // Store room state
+      this.roomState[roomId] = {
+        members: {},
+        powerLevels: powerLevels,
+        ruleSystem: ruleSystem
+      };
+      
+      // Store member power levels, roles, presence and characters
+      members.forEach(member => {
+        const userId = member.userId;
+        const powerLevel = userPowerLevel(powerLevels, userId);
+        
+        this.roomState[roomId].members[userId] = {
+          powerLevel: powerLevel,
+          displayName: member.displayName || userId.substring(1).split(':')[0],
+          role: memberRole(powerLevels, userId),
+          ...this._memberActivity(roomId, userId)
+        };
+      });
+      
+      this._triggerEvent('roomState', { 
+        roomId,
+        state: this.roomState[roomId]
+      });
+      
+      return this.roomState[roomId];
+    } catch (error) {
+      this._triggerEvent('error', { 
+        context: 'roomState', 
+        message: error.message || 'Failed to update room state' 
+      });
+      return null;
+    }
+  }
+
+  // Presence and current character for the members panel, from synced state
+  _memberActivity(roomId, userId) {
+    const user = this.client?.getUser(userId);
+    const sheetEvent = this.client?.getRoom(roomId)?.currentState.getStateEvents(CHARACTER_SHEET_EVENT, userId);
+    
+    return {
+      presence: user?.presence || 'offline',
+      currentlyActive: !!user?.currentlyActive,
+      lastActiveAgo: user?.lastActiveAgo ?? null,
+      character: sheetEvent ? normalizeSheet(sheetEvent.getContent()).name || null : null
+    };
+  }
+
+  // Refresh presence and characters without asking the server again
+  _refreshMembers(roomId, userIds = null) {
+    const state = this.roomState[roomId];
+    if (!state) return;
+    
+    const changed = Object.keys(state.members).filter(userId => !userIds || userIds.includes(userId));
+    if (changed.length === 0) return;
+    
+    changed.forEach(userId => {
+      state.members[userId] = { ...state.members[userId], ...this._memberActivity(roomId, userId) };
+    });
+    
+    this._triggerEvent('roomState', { 
+      roomId,
+      state
+    });
+  }
+
+  // Tell the active room whether we're drafting a message. Called on every keystroke, so the
+  // notification is only re-sent when it's about to expire on the server.
+  setTyping(typing) {
+    if (!this.client) return;
+    
+    const now = Date.now();
+    const previous = this.typing;
+    
+    if (typing && this.room) {
+      if (previous && previous.roomId === this.room && now - previous.sentAt < TYPING_REFRESH_MS) return;
+      this.typing = { roomId: this.room, sentAt: now };
+      this.client.sendTyping(this.room, true, TYPING_TIMEOUT_MS).catch(() => {});
+    } else {
+      this.typing = null;
+    }
+    
+    // Stopped typing, or moved to another room while typing
+    if (previous && (!this.typing || previous.roomId !== this.typing.roomId)) {
+      this.client.sendTyping(previous.roomId, false).catch(() => {});
+    }
+  }
+
+  // Messaging
+  async sendMessage(text, type = 'chat') {
+    if (!this.client || !this.room) {
+      this._triggerEvent('error', { 
+        context: 'sendMessage', 
+        message: 'Not in a room or not logged in' 
+      });
+      return false;
+    }
+
+    try {
+      // Plain text for other clients; the RPG block says which channel ('game' or 'chat') it belongs to
+      this._enqueue(this.room, { content: buildRpgContent(type, {}, {
+        body: text
+      }) });
+      return true;
+    } catch (error) {
+      this._triggerEvent('error', { 
+        context: 'sendMessage', 
+        message: error.message || 'Failed to send message' 
+      });
+      return false;
+    }
+  }
+  
+  // Scene creation
+  async sendScene(sceneName, sceneType = 'regular', { location = null, participants = [] } = {}) {
+    if (!this.client || !this.room) {
+      this._triggerEvent('error', { 
+        context: 'sendScene', 
+        message: 'Not in a room or not logged in' 
+      });
+      return false;
+    }
+
+    // The server can't tell scenes from chat, so the GM-only rule is checked here
+    const powerLevels = this._powerLevels(this.room);
+    const permissionError = powerLevels && rpgPostError(powerLevels, this.userId, 'scene');
+    if (permissionError) {
+      this._triggerEvent('error', { 
+        context: 'sendScene', 
+        message: permissionError 
+      });
+      return false;
+    }
+
+    try {
+      // Send as a special scene message
+      const scene = {
+        sceneName: sceneName,
+        sceneType: sceneType,
+        location: location,
+        participants: participants
+      };
+      
+      // Format the scene message
+      const details = describeScene(scene);
+      const sceneText = details ? `${sceneName} (${details})` : sceneName;
+
+      this._enqueue(this.room, { content: buildRpgContent('scene', scene, {
+        body: sceneText,
+        html: sceneHtml(scene)
+      }) });
+      
+      return true;
+    } catch (error) {
+      this._triggerEvent('error', { 
+        context: 'sendScene', 
+        message: error.message || 'Failed to send scene' 
+      });
+      return false;
+    }
+  }
+  
+  // Narration
+  async sendNarration(text) {
+    if (!this.client || !this.room) {
+      this._triggerEvent('error', { 
+        context: 'sendNarration', 
+        message: 'Not in a room or not logged in' 
+      });
+      return false;
+    }
+
+    // The server can't tell scenes from chat, so the GM-only rule is checked here
+    const powerLevels = this._powerLevels(this.room);
+    const permissionError = powerLevels && rpgPostError(powerLevels, this.userId, 'narrate');
+    if (permissionError) {
+      this._triggerEvent('error', { 
+        context: 'sendNarration', 
+        message: permissionError 
+      });
+      return false;
+    }
+
+    try {
+      // Send as a special narration message
+      this._enqueue(this.room, { content: buildRpgContent('narrate', {}, {
+        body: text,
+        html: narrationHtml(text)
+      }) });
+      
+      return true;
+    } catch (error) {
+      this._triggerEvent('error', { 
+        context: 'sendNarration', 
+        message: error.message || 'Failed to send narration' 
+      });
+      return false;
+    }
+  }
+  
+  // Outbox: messages show straight away and go out one at a time, in order (see outbox.js)
+  _enqueue(roomId, fields) {
+    const item = createOutboxItem({ roomId, txnId: this.client.makeTxnId(), ...fields });
+    this.outbox = [...this.outbox, item];
+    this._saveOutbox();
+    this._emitQueued(item);
+    this._flushOutbox();
+    return item;
+  }
+
+  // Show a queued message as if the SDK had echoed it. Rolls aren't rolled yet, so they show
+  // what is about to be rolled.
+  _emitQueued(item) {
+    const content = item.content || buildRpgContent('roll', { dice: item.notation, label: item.label }, {
+      body: `🎲 @${this.userId.split(':')[0]} rolling ${item.notation}…`
+    });
+    const decoded = decodeRpgEvent(new MatrixEvent({ 
+      event_id: item.id,
+      type: 'm.room.message',
+      content,
+      sender: this.userId,
+      room_id: item.roomId,
+      origin_server_ts: item.queuedAt
+    }));
+    if (!decoded) return;
+    
+    if (decoded.type === 'roll' && !item.content) {
+      this._triggerEvent('roll', { ...decoded, verified: null });
+    } else {
+      this._emitRpgEvent(decoded);
+    }
+    this._reportOutboxItem(item);
+  }
+
+  // Status changes go to the UI like the SDK's own local echo updates
+  _reportOutboxItem(item) {
+    this._triggerEvent('localEcho', { 
+      roomId: item.roomId,
+      oldEventId: item.id,
+      eventId: item.id,
+      status: item.status
+    });
+  }
+
+  _isOnline() {
+    return this.syncState !== 'ERROR' && this.syncState !== 'RECONNECTING';
+  }
+
+  // Send what's queued, oldest first. A lost connection holds the queue until the next sync,
+  // so nothing overtakes a message that is waiting.
+  async _flushOutbox() {
+    if (this.outboxFlushing) return;
+    this.outboxFlushing = true;
+    
+    try {
+      let item = nextOutboxItem(this.outbox);
+      while (item && this.client && this._isOnline()) {
+        if (!await this._sendOutboxItem(item)) break;
+        item = nextOutboxItem(this.outbox);
+      }
+    } finally {
+      this.outboxFlushing = false;
+    }
+  }
+
+  // true when the item is done with, sent or failed; false when the connection dropped
+  async _sendOutboxItem(item) {
+    this._setOutboxItem(item.id, { status: 'sending', error: null });
+    
+    try {
+      let { content } = item;
+      if (item.kind === 'roll' && !content) {
+        // Kept once made, so a retry reveals the same roll instead of rolling again
+        ({ content } = await this._prepareRoll(item.roomId, item.notation, { label: item.label }));
+        this._setOutboxItem(item.id, { content });
+      }
+      
+      // After a failed try the SDK still holds the event; anything else is sent under its own
+      // transaction ID, which the server recognises if an earlier try did get through
+      const room = this.client.getRoom(item.roomId);
+      const unsent = this._findUnsent(item.id);
+      if (unsent) {
+        await this.client.resendEvent(unsent, room);
+      } else {
+        await this.client.sendEvent(item.roomId, 'm.room.message', content, item.txnId);
+      }
+      
+      this.outbox = removeOutboxItem(this.outbox, item.id);
+      this._saveOutbox();
+      return true;
+    } catch (error) {
+      if (!findOutboxItem(this.outbox, item.id)) return true; // Discarded meanwhile
+      
+      if (isConnectionError(error)) {
+        this._reportOutboxItem(this._setOutboxItem(item.id, { status: 'queued' }));
+        return false;
+      }
+      
+      this._reportOutboxItem(this._setOutboxItem(item.id, { status: 'failed', error: error.message || 'Failed to send' }));
+      this._triggerEvent('error', { 
+        context: 'outbox', 
+        message: `Not sent: ${error.message || 'request failed'}. Retry or discard it.` 
+      });
+      return true;
+    }
+  }
+
+  _setOutboxItem(id, update) {
+    this.outbox = updateOutboxItem(this.outbox, id, update);
+    this._saveOutbox();
+    return findOutboxItem(this.outbox, id);
+  }
+
+  // A failed event the SDK is still holding in one of our rooms
+  _findUnsent(eventId) {
+    for (const roomId of this.rooms) {
+      const event = this.client?.getRoom(roomId)?.findEventById(eventId);
+      if (event?.status === 'not_sent') return event;
+    }
+    return null;
+  }
+
+  _cancelUnsent(eventId) {
+    const event = this._findUnsent(eventId);
+    if (event) this.client.cancelPendingEvent(event);
+  }
+
+  // Try a failed message again: outbox messages rejoin the queue, others (e.g. replies) are
+  // resent by the SDK
+  async retryMessage(eventId) {
+    const item = findOutboxItem(this.outbox, eventId);
+    if (item) {
+      if (item.status === 'failed') {
+        this._reportOutboxItem(this._setOutboxItem(eventId, { status: 'queued', error: null }));
+      }
+      this._flushOutbox();
+      return true;
+    }
+    
+    const event = this._findUnsent(eventId);
+    if (!event) {
+      this._triggerEvent('error', { 
+        context: 'outbox', 
+        message: 'That message is no longer waiting to be sent' 
+      });
+      return false;
+    }
+    
+    try {
+      await this.client.resendEvent(event, this.client.getRoom(event.getRoomId()));
+      return true;
+    } catch (error) {
+      this._triggerEvent('error', { 
+        context: 'outbox', 
+        message: `Not sent: ${error.message || 'request failed'}. Retry or discard it.` 
+      });
+      return false;
+    }
+  }
+
+  // Drop a message that hasn't been sent; the UI removes it on the cancelled update
+  discardMessage(eventId) {
+    const item = findOutboxItem(this.outbox, eventId);
+    if (item?.status === 'sending') {
+      this._triggerEvent('error', { 
+        context: 'outbox', 
+        message: 'That message is being sent right now' 
+      });
+      return false;
+    }
+    
+    if (item) {
+      this.outbox = removeOutboxItem(this.outbox, eventId);
+      this._saveOutbox();
+    }
+    
+    if (this._findUnsent(eventId)) {
+      this._cancelUnsent(eventId);
+    } else if (item) {
+      this._reportOutboxItem({ ...item, status: 'cancelled' });
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  _saveOutbox() {
+    if (this.outbox.length > 0) {
+      localStorage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify({ userId: this.userId, items: this.outbox }));
+    } else {
+      localStorage.removeItem(OUTBOX_STORAGE_KEY);
+    }
+  }
+
+  // Messages that were still waiting when the tab closed, shown again and sent
+  _restoreOutbox() {
+    if (this.outbox.length > 0) return;
+    
+    try {
+      const saved = JSON.parse(localStorage.getItem(OUTBOX_STORAGE_KEY));
+      if (!saved || saved.userId !== this.userId) return;
+      this.outbox = restoreOutbox(saved.items).filter(item => this.rooms.includes(item.roomId));
+    } catch (error) {
+      this.outbox = [];
+    }
+    this._saveOutbox();
+    this.outbox.forEach(item => this._emitQueued(item));
+  }
+  
+  // Export the active room's history as a transcript (see transcript.js). The file goes to
+  // the UI as an export event to download; filters are { from, to, scenes, includeChat }.
+  // Only history loaded so far is exported unless `entireHistory` pages back to the start first.
+  async exportTranscript(format = 'md', filters = {}, { entireHistory = false } = {}) {
+    if (!this.client || !this.room) {
+      this._triggerEvent('error', { 
+        context: 'export', 
+        message: 'Not in a room or not logged in' 
+      });
+      return false;
+    }
+    
+    if (!EXPORT_FORMATS[format]) {
+      this._triggerEvent('error', { 
+        context: 'export', 
+        message: `Unknown export format "${format}". Available: ${Object.keys(EXPORT_FORMATS).join(', ')}` 
+      });
+      return false;
+    }
+
+    try {
+      const roomId = this.room;
+      const room = this.client.getRoom(roomId);
+      if (!room) return false;
+      
+      // Scene numbers count from the campaign's first scene, as in the export panel and /purge,
+      // so a scene range needs all of it
+      if (entireHistory || filters.scenes) {
+        this._systemMessage('Loading the entire campaign for the export…');
+        if (!await this.loadEntireHistory(roomId)) {
+          throw new Error('Could not load the room history');
+        }
+      } else {
+        await this._openHistory(roomId);
+      }
+      
+      const events = [];
+      this._loadedEvents(roomId).forEach(event => {
+        // Edits are already applied to the messages they replace
+        const decoded = decodeRpgEvent(event);
+        if (!decoded || decoded.type === 'edit') return;
+        events.push({
+          ...this._authorizeRpgEvent(decoded),
+          senderName: room.getMember(decoded.sender)?.name || decoded.sender.substring(1).split(':')[0]
+        });
+      });
+      
+      const file = renderTranscript(format, {
+        room: { id: roomId, name: room.name },
+        events,
+        filters: { from: null, to: null, scenes: null, includeChat: false, ...filters }
+      });
+      
+      this._triggerEvent('export', { 
+        roomId,
+        format,
+        ...file
+      });
+      this._systemMessage(`Exported ${file.count} messages to ${file.filename}`);
+      return true;
+    } catch (error) {
+      this._triggerEvent('error', { 
+        context: 'export', 
+        message: error.message || 'Failed to export room history' 
+      });
+      return false;
+    }
+  }
+  
+  // Replace the text of one of our own messages (m.replace). Rolls and scenes can't be edited.
+  async editMessage(eventId, text) {
+    if (!this.client || !this.room) {
+      this._triggerEvent('error', { 
+        context: 'editMessage', 
+        message: 'Not in a room or not logged in' 
+      });
+      return false;
+    }
+    
+    const event = this.client.getRoom(this.room)?.findEventById(eventId);
+    const original = event && decodeRpgEvent(event);
+    let problem = null;
+    if (!original) {
+      problem = 'Message not found';
+    } else if (original.sender !== this.userId) {
+      problem = 'You can only edit your own messages';
+    } else if (!EDITABLE_TYPES.includes(original.type)) {
+      problem = original.type === 'roll' ? 'Rolls can\'t be edited' : `${original.type} messages can't be edited`;
+    }
+    
+    if (problem) {
+      this._triggerEvent('error', { 
+        context: 'editMessage', 
+        message: problem 
+      });
+      return false;
+    }
+
+    try {
+      let newContent;
+      if (original.type === 'emote') {
+        newContent = { msgtype: 'm.emote', body: text };
+      } else if (original.type === 'narrate') {
+        newContent = buildRpgContent('narrate', {}, { body: text, html: narrationHtml(text) });
+      } else {
+        newContent = buildRpgContent(original.type, {}, { body: text });
+      }
+      
+      await this.client.sendEvent(this.room, "m.room.message", buildEditContent(eventId, newContent));
+      return true;
+    } catch (error) {
+      this._triggerEvent('error', { 
+        context: 'editMessage', 
+        message: error.message || 'Failed to edit message' 
+      });
+      return false;
+    }
+  }
+  
+  // /edit: correct our last narration, game or chat post
+  async editLastMessage(text) {
+    if (!this.client || !this.room) {
+      this._triggerEvent('error', { 
+        context: 'editMessage', 
+        message: 'Not in a room or not logged in' 
+      });
+      return false;
+    }
+    
+    const timeline = this.client.getRoom(this.room)?.getLiveTimeline().getEvents() || [];
+    const last = [...timeline].reverse().find(event => {
+      if (event.getSender() !== this.userId) return false;
+      const decoded = decodeRpgEvent(event);
+      return decoded && EDITABLE_TYPES.includes(decoded.type);
+    });
+    
+    if (!last) {
+      this._triggerEvent('error', { 
+        context: 'editMessage', 
+        message: 'No message found to edit' 
+      });
+      return false;
+    }
+    
+    return await this.editMessage(last.getId(), text);
+  }
+  
+  // Reply to a message, or with `thread` start or continue a thread on it (a scene divider or a
+  // roll, say). Thread discussion is out of character, so it always goes to the chat channel.
+  async sendReply(eventId, text, type = 'chat', { thread = false } = {}) {
+    if (!this.client || !this.room) {
+      this._triggerEvent('error', { 
+        context: 'sendReply', 
+        message: 'Not in a room or not logged in' 
+      });
+      return false;
+    }
+    
+    const event = this.client.getRoom(this.room)?.findEventById(eventId);
+    const target = event && decodeRpgEvent(event);
+    if (!target || target.type === 'edit') {
+      this._triggerEvent('error', { 
+        context: 'sendReply', 
+        message: 'Message not found' 
+      });
+      return false;
+    }
+
+    try {
+      const channel = thread || target.threadRoot || type !== 'game' ? 'chat' : 'game';
+      await this.client.sendEvent(this.room, "m.room.message", buildReplyContent(
+        buildRpgContent(channel, {}, { body: text }),
+        target,
+        { thread }
+      ));
+      return true;
+    } catch (error) {
+      this._triggerEvent('error', { 
+        context: 'sendReply', 
+        message: error.message || 'Failed to send reply' 
+      });
+      return false;
+    }
+  }
+  
+  // Message handling
+  async deleteLastMessage() {
+    if (!this.client || !this.room) {
+      this._triggerEvent('error', { 
+        context: 'deleteMessage', 
+        message: 'Not in a room or not logged in' 
+      });
+      return false;
     }
 
     try {
@@ -487,44 +1596,267 @@ export class MatrixRPGClient {
       // Get timeline events
       const timeline = room.getLiveTimeline().getEvents();
       
-      // Find all messages sent by current user
-      const userEvents = [];
-      for (let i = 0; i < timeline.length; i++) {
+      // Find last message sent by current user
+      let lastMessageEvent = null;
+      for (let i = timeline.length - 1; i >= 0; i--) {
         const event = timeline[i];
         if (event.getType() === 'm.room.message' && event.getSender() === this.userId) {
-          userEvents.push(event);
+          lastMessageEvent = event;
+          break;
         }
       }
       
-      if (userEvents.length === 0) {
+      if (!lastMessageEvent) {
         this._triggerEvent('error', { 
-          context: 'clearMessages', 
+          context: 'deleteMessage', 
           message: 'No messages found to delete' 
         });
         return false;
       }
       
-      // Redact all messages
-      for (const event of userEvents) {
-        await this.client.redactEvent(this.room, event.getId());
+      // Redact the message
+      await this.client.redactEvent(this.room, lastMessageEvent.getId());
+      return true;
+    } catch (error) {
+      this._triggerEvent('error', { 
+        context: 'deleteMessage', 
+        message: error.message || 'Failed to delete message' 
+      });
+      return false;
+    }
+  }
+  
+  // Delete all our own messages in the room, however far back
+  async clearAllMessages() {
+    return await this.purgeMessages({ senders: [this.userId] }, { confirm: true });
+  }
+
+  // Bulk deletion, mostly for GMs: redact every message in the room's history that matches the
+  // filters (see purge.js). Without `confirm` it only says what would go. Progress goes to purge
+  // listeners as { roomId, status, total, done, failed, remaining }.
+  async purgeMessages(filters = {}, { confirm = false } = {}) {
+    if (!this.client || !this.room) {
+      this._triggerEvent('error', { 
+        context: 'purge', 
+        message: 'Not in a room or not logged in' 
+      });
+      return false;
+    }
+    
+    if (this.purge) {
+      this._triggerEvent('error', { 
+        context: 'purge', 
+        message: 'A purge is already running. Use /purge cancel to stop it.' 
+      });
+      return false;
+    }
+
+    const roomId = this.room;
+    const room = this.client.getRoom(roomId);
+    if (!room) return false;
+    
+    // "me", names and full IDs
+    const senders = [];
+    for (const user of filters.senders || []) {
+      const userId = user.toLowerCase() === 'me' ? this.userId : this._resolveUser(roomId, user);
+      if (!userId) {
+        this._triggerEvent('error', { 
+          context: 'purge', 
+          message: `No member matches "${user}". Use a full ID like @user:matrix.org` 
+        });
+        return false;
+      }
+      senders.push(userId);
+    }
+    
+    // Other people's messages need the redact power level; without it only our own are purged
+    const powerLevels = this._powerLevels(roomId);
+    const problem = senders.map(userId => moderationError(powerLevels, this.userId, 'redact', userId)).find(Boolean);
+    if (problem) {
+      this._triggerEvent('error', { 
+        context: 'purge', 
+        message: problem 
+      });
+      return false;
+    }
+    const ownOnly = senders.length === 0 && Boolean(moderationError(powerLevels, this.userId, 'redact', null));
+    if (ownOnly) senders.push(this.userId);
+
+    // Taken before the history loads, which can be slow, so a second /purge can't start meanwhile
+    const job = { 
+      roomId,
+      userId: this.userId,
+      eventIds: [],
+      total: 0,
+      done: 0,
+      failed: 0
+    };
+    this.purge = job;
+    
+    try {
+      this._systemMessage('Loading the entire campaign for the purge…');
+      if (!await this.loadEntireHistory(roomId)) {
+        throw new Error('Could not load the room history');
+      }
+      // Cancelled while loading
+      if (this.purge !== job) return false;
+      
+      const events = this._loadedEvents(roomId).map(event => decodeRpgEvent(event)).filter(Boolean);
+      const targets = selectPurgeTargets(events, { ...filters, senders });
+      const nameOf = userId => room.getMember(userId)?.name || userId.substring(1).split(':')[0];
+      
+      if (targets.length === 0) {
+        this._systemMessage('No messages match those filters');
+        return true;
+      }
+      
+      if (!confirm) {
+        const ownNote = ownOnly ? ' (only your own: you need a higher power level to delete other people\'s)' : '';
+        this._systemMessage(`This would delete ${summarizePurge(targets, nameOf)}${ownNote}. Repeat the command with --confirm to delete them.`);
+        return true;
+      }
+      
+      this._systemMessage(`Deleting ${summarizePurge(targets, nameOf)}…`);
+      job.eventIds = targets.map(target => target.eventId);
+      job.total = targets.length;
+      return await this._runPurge(job);
+    } catch (error) {
+      this._triggerEvent('error', { 
+        context: 'purge', 
+        message: error.message || 'Failed to purge messages' 
+      });
+      return false;
+    } finally {
+      // Dry runs and failures let go; a run clears it itself when it stops
+      if (this.purge === job) this.purge = null;
+    }
+  }
+
+  // Redact the job's messages one at a time, saving what's left after each. Rate limiting is
+  // waited out; anything else that isn't about the message itself pauses the job for /purge resume.
+  async _runPurge(job) {
+    this.purge = job;
+    this._savePurge(job);
+    this._reportPurge(job, 'running');
+    
+    while (job.eventIds.length > 0 && this.purge === job) {
+      const [eventId] = job.eventIds;
+      try {
+        await this._withRateLimit(
+          () => this.client.redactEvent(job.roomId, eventId, undefined, { reason: 'purged' }),
+          PURGE_RATE_LIMIT_ATTEMPTS
+        );
+        job.done++;
+      } catch (error) {
+        // Cancelled or logged out meanwhile
+        if (this.purge !== job) break;
+        
+        if (error.errcode !== 'M_NOT_FOUND' && error.errcode !== 'M_FORBIDDEN') {
+          this.purge = null;
+          this._reportPurge(job, 'paused');
+          this._triggerEvent('error', { 
+            context: 'purge', 
+            message: `Purge paused with ${job.eventIds.length} messages left (${error.message || 'request failed'}). Use /purge resume to continue.` 
+          });
+          return false;
+        }
+        
+        // Already gone, or not ours to delete: skip it
+        job.failed++;
       }
       
-      this._triggerEvent('message', {
-        sender: this.userId,
-        roomId: this.room,
-        text: `Cleared ${userEvents.length} messages`,
-        type: 'system',
-        system: true
+      if (this.purge !== job) break;
+      job.eventIds = job.eventIds.slice(1);
+      this._savePurge(job);
+      this._reportPurge(job, 'running');
+    }
+    
+    if (this.purge !== job) return false;
+    
+    this.purge = null;
+    this._savePurge(null);
+    this._reportPurge(job, 'done');
+    this._systemMessage(`Purge finished: deleted ${job.done} messages${job.failed ? `, ${job.failed} could not be deleted` : ''}`);
+    return true;
+  }
+
+  // Pick up a purge that was paused or interrupted by a reload
+  async resumePurge() {
+    if (this.purge) {
+      this._triggerEvent('error', { 
+        context: 'purge', 
+        message: 'The purge is already running' 
+      });
+      return false;
+    }
+    
+    const job = this._loadPurge();
+    if (!job) {
+      this._triggerEvent('error', { 
+        context: 'purge', 
+        message: 'No purge to resume' 
       });
-      
-      return true;
-    } catch (error) {
+      return false;
+    }
+    
+    if (!this.rooms.includes(job.roomId)) {
+      this._savePurge(null);
+      this._triggerEvent('error', { 
+        context: 'purge', 
+        message: 'The unfinished purge was for a room you have left' 
+      });
+      return false;
+    }
+    
+    this._systemMessage(`Resuming the purge in ${this._roomName(job.roomId)}: ${job.eventIds.length} of ${job.total} messages left`);
+    return await this._runPurge(job);
+  }
+
+  cancelPurge() {
+    const job = this.purge || this._loadPurge();
+    if (!job) {
       this._triggerEvent('error', { 
-        context: 'clearMessages', 
-        message: error.message || 'Failed to clear messages' 
+        context: 'purge', 
+        message: 'No purge to cancel' 
       });
       return false;
     }
+    
+    // A redaction already sent still goes through
+    this.purge = null;
+    this._savePurge(null);
+    this._reportPurge(job, 'cancelled');
+    this._systemMessage(`Purge cancelled with ${job.eventIds.length} messages left`);
+    return true;
+  }
+
+  // Only our own saved job; another account may have used this browser
+  _loadPurge() {
+    try {
+      const job = JSON.parse(localStorage.getItem(PURGE_STORAGE_KEY));
+      return job && job.userId === this.userId && Array.isArray(job.eventIds) ? job : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _savePurge(job) {
+    if (job) {
+      localStorage.setItem(PURGE_STORAGE_KEY, JSON.stringify(job));
+    } else {
+      localStorage.removeItem(PURGE_STORAGE_KEY);
+    }
+  }
+
+  _reportPurge(job, status) {
+    this._triggerEvent('purge', { 
+      roomId: job.roomId,
+      status,
+      total: job.total,
+      done: job.done,
+      failed: job.failed,
+      remaining: job.eventIds.length
+    });
   }
   
   async leaveRoom() {
@@ -537,12 +1869,27 @@ export class MatrixRPGClient {
     }
 
     try {
-      await this.client.leave(this.room);
+      const roomId = this.room;
+      await this.client.leave(roomId);
       
-      this.room = null;
-      localStorage.removeItem('matrixRoom');
+      // Fall back to the most recently joined of the remaining rooms
+      this.rooms = this.rooms.filter(id => id !== roomId);
+      delete this.unreadCounts[roomId];
+      delete this.history[roomId];
+      delete this.lastSeen[roomId];
+      this.room = this.rooms[this.rooms.length - 1] || null;
+      this._saveRooms();
+      
+      // Nothing left to delete there once we're gone
+      if (this._loadPurge()?.roomId === roomId) {
+        this.cancelPurge();
+      }
       
-      this._triggerEvent('roomLeave');
+      this._triggerEvent('roomLeave', { 
+        roomId,
+        nextRoomId: this.room,
+        nextRoomName: this.room ? this._roomName(this.room) : null
+      });
       return true;
     } catch (error) {
       this._triggerEvent('error', { 
@@ -557,6 +1904,7 @@ export class MatrixRPGClient {
     if (this.client) {
       this.client.stopClient();
     }
+    clearTimeout(this.refreshTimer);
     
     // Clear all storage
     localStorage.clear();
@@ -567,6 +1915,17 @@ export class MatrixRPGClient {
     // Reset properties
     this.client = null;
     this.room = null;
+    this.rooms = [];
+    this.unreadCounts = {};
+    this.initiative = {};
+    this.typing = null;
+    this.history = {};
+    this.purge = null;
+    this.outbox = [];
+    this.syncState = null;
+    this.connection = null;
+    this.lastSeen = {};
+    this.gaps = {};
     this.userId = null;
     this.roomState = {};
     
@@ -583,77 +1942,559 @@ export class MatrixRPGClient {
     }
 
     try {
-      const rollResult = this.rollDice(notation);
-      if (!rollResult) {
+      // Catch typos now; @stat references are checked against the sheet when the roll is made
+      if (!notation.includes('@')) {
+        parseDice(notation);
+      }
+      
+      this._enqueue(this.room, { kind: 'roll', notation });
+      return true;
+    } catch (error) {
+      this._triggerEvent('error', { 
+        context: 'sendRoll', 
+        message: error.message || 'Failed to send roll' 
+      });
+      return false;
+    }
+  }
+
+  // Commit, roll and send straight away; returns the roll payload. `label` says what the roll
+  // is for (e.g. "initiative") and shows before the dice.
+  async _sendRollEvent(notation, { label = null } = {}) {
+    const { roll, content } = await this._prepareRoll(this.room, notation, { label });
+    await this.client.sendEvent(this.room, "m.room.message", content);
+    return roll;
+  }
+
+  // Send the commit and roll the dice from it; returns the roll payload and the message content
+  // that reveals it
+  async _prepareRoll(roomId, notation, { label = null } = {}) {
+    // @stat references come from our character sheet in this room
+    let stats = {};
+    let resolved = notation;
+    if (notation.includes('@')) {
+      const sheet = await this._getCharacterSheet(roomId, this.userId);
+      ({ expression: resolved, stats } = resolveStatReferences(notation, name => lookupStat(sheet, name)));
+    }
+    const hasStats = Object.keys(stats).length > 0;
+    
+    // Throws a DiceParseError describing what's wrong with the expression,
+    // before anything is sent
+    const expression = formatDice(parseDice(resolved));
+    
+    // Commit to a secret nonce first; the event ID the server assigns to the commit
+    // seeds the dice, so the result can't be picked in advance
+    const commit = await createRollCommit(expression, { label });
+    const commitTxnId = this.client.makeTxnId();
+    let commitResponse;
+    try {
+      commitResponse = await this.client.sendEvent(roomId, ROLL_COMMIT_EVENT, commit.content, commitTxnId);
+    } catch (error) {
+      // A retry commits afresh, so this one shouldn't linger as unsent
+      this._cancelUnsent(localEchoId(roomId, commitTxnId));
+      throw error;
+    }
+    const rollResult = await rollFromCommit(expression, commitResponse.event_id, commit.nonce);
+    
+    // Interpret the dice with the room's rule system
+    const outcome = interpretRoll(rollResult, this._getRuleSystem(roomId));
+    
+    // Get user ID without the domain part
+    const username = this.userId.split(':')[0];
+    
+    // Format roll text with the per-die breakdown, total and interpreted outcome
+    const statsText = hasStats ? ` [${Object.entries(stats).map(([name, value]) => `@${name}=${value}`).join(', ')}]` : '';
+    const labelText = label ? `${label} ` : '';
+    const rollText = `🎲 @${username} ${labelText}${hasStats ? notation : rollResult.expression}${statsText}: ${rollResult.breakdown} = ${rollResult.total} (${outcome.summary})`;
+    
+    // Send as a special roll message
+    const roll = {
+      dice: rollResult.expression,
+      rolls: rollResult.rolls,
+      groups: rollResult.groups,
+      breakdown: rollResult.breakdown,
+      total: rollResult.total,
+      outcome: outcome,
+      username: username,
+      // Expression as typed and the sheet values it used; `dice` is what was committed
+      ...(hasStats && { expression: notation, stats }),
+      ...(label && { label }),
+      // Reveal: lets other clients replay the dice from the commit
+      verification: {
+        algorithm: ROLL_ALGORITHM,
+        commitEventId: commitResponse.event_id,
+        nonce: commit.nonce
+      }
+    };
+    const content = buildRpgContent('roll', roll, {
+      body: rollText,
+      html: rollHtml(roll)
+    });
+    
+    return { roll, content };
+  }
+
+  rollDice(notation) {
+    // Parse and evaluate a dice expression like "2d6+1" or "4d6kh3".
+    // Each group keeps its individual dice so every client can show the same breakdown.
+    // Local only: rolls sent to the room go through the commit/reveal flow in sendRoll.
+    return rollDiceExpression(notation);
+  }
+
+  // Roll verification
+  async _verifyRollEvent(roomId, eventId, sender, rollContent) {
+    let result;
+    try {
+      const commitEvent = await this._fetchRollCommit(roomId, rollContent.verification?.commitEventId);
+      // The outcome is checked against the system the room used then, not the one the roll names
+      const ruleSystem = ruleSystemSetting(this._stateContentAt(roomId, eventId, RULE_SYSTEM_EVENT));
+      // Commits dropped before this one, among the events loaded so far
+      const entries = this._loadedEvents(roomId)
+        .filter(event => !event.isDecryptionFailure())
+        .map(rollAuditEntry)
+        .filter(Boolean);
+      const skipped = skippedCommits(entries, rollContent.verification?.commitEventId).length;
+      result = await verifyRoll({ ...rollContent, sender }, commitEvent, ruleSystem, { skippedCommits: skipped });
+    } catch (error) {
+      result = { verified: false, reason: error.message || 'verification failed' };
+    }
+    
+    this._triggerEvent('rollVerification', {
+      roomId,
+      eventId,
+      verified: result.verified,
+      reason: result.reason
+    });
+    
+    return result.verified;
+  }
+
+  async _fetchRollCommit(roomId, commitEventId) {
+    if (!commitEventId) return null;
+    
+    // Prefer the copy already in the timeline, otherwise ask the server
+    const room = this.client.getRoom(roomId);
+    let commitEvent = room?.findEventById(commitEventId);
+    if (!commitEvent) {
+      const rawEvent = await this.client.fetchRoomEvent(roomId, commitEventId).catch(() => null);
+      commitEvent = rawEvent && this.client.getEventMapper()(rawEvent);
+    }
+    if (!commitEvent) return null;
+    
+    // Commits in encrypted rooms are encrypted like any other event
+    await this.client.decryptEventIfNeeded(commitEvent);
+    if (commitEvent.getType() !== ROLL_COMMIT_EVENT) return null;
+    
+    return { sender: commitEvent.getSender(), content: commitEvent.getContent() };
+  }
+
+  // Content of a state event as it was when `eventId` was sent: the last change before it in the
+  // loaded timeline, or the state the timeline starts from. Falls back to the current state for
+  // events that aren't loaded.
+  _stateContentAt(roomId, eventId, type, stateKey = '') {
+    const room = this.client.getRoom(roomId);
+    const timeline = eventId && room?.getTimelineForEvent(eventId);
+    if (!timeline) {
+      return room?.currentState.getStateEvents(type, stateKey)?.getContent() || null;
+    }
+    
+    const events = timeline.getEvents();
+    const index = events.findIndex(event => event.getId() === eventId);
+    for (let i = index - 1; i >= 0; i--) {
+      if (events[i].getType() === type && events[i].getStateKey() === stateKey) {
+        return events[i].getContent();
+      }
+    }
+    return timeline.getState(EventTimeline.BACKWARDS)?.getStateEvents(type, stateKey)?.getContent() || null;
+  }
+
+  _getRuleSystem(roomId) {
+    return this.roomState[roomId]?.ruleSystem || DEFAULT_RULE_SYSTEM;
+  }
+
+  // Rule systems
+  async setRuleSystem(systemId, args = []) {
+    if (!this.client || !this.room) {
+      this._triggerEvent('error', { 
+        context: 'setRuleSystem', 
+        message: 'Not in a room or not logged in' 
+      });
+      return false;
+    }
+
+    if (!isRuleSystem(systemId)) {
+      this._triggerEvent('error', { 
+        context: 'setRuleSystem', 
+        message: `Unknown rule system "${systemId}". Available: ${Object.keys(RULE_SYSTEMS).join(', ')}` 
+      });
+      return false;
+    }
+
+    const ruleSystem = RULE_SYSTEMS[systemId];
+    try {
+      const options = ruleSystem.parseOptions(args);
+      
+      // Stored as room state so every member interprets rolls the same way
+      await this.client.sendStateEvent(this.room, RULE_SYSTEM_EVENT, {
+        system: systemId,
+        options: options
+      }, '');
+      
+      this._systemMessage(`Rule system set to ${ruleSystem.name}`);
+      
+      return true;
+    } catch (error) {
+      this._triggerEvent('error', { 
+        context: 'setRuleSystem', 
+        message: error.message || 'Failed to set rule system' 
+      });
+      return false;
+    }
+  }
+
+  // Character sheets
+  async _getCharacterSheet(roomId, userId) {
+    // Synced room state first; fall back to asking the server
+    const stateEvent = this.client.getRoom(roomId)?.currentState.getStateEvents(CHARACTER_SHEET_EVENT, userId);
+    if (stateEvent) {
+      return normalizeSheet(stateEvent.getContent());
+    }
+    
+    try {
+      return normalizeSheet(await this.client.getStateEvent(roomId, CHARACTER_SHEET_EVENT, userId));
+    } catch (error) {
+      // M_NOT_FOUND: no sheet yet
+      return normalizeSheet(null);
+    }
+  }
+
+  async showCharacterSheet(user = null) {
+    if (!this.client || !this.room) {
+      this._triggerEvent('error', { 
+        context: 'sheet', 
+        message: 'Not in a room or not logged in' 
+      });
+      return false;
+    }
+    
+    const userId = user ? this._resolveUser(this.room, user) : this.userId;
+    if (!userId) {
+      this._triggerEvent('error', { 
+        context: 'sheet', 
+        message: `No member matches "${user}"` 
+      });
+      return false;
+    }
+    
+    const sheet = await this._getCharacterSheet(this.room, userId);
+    this._systemMessage(formatSheet(sheet, userId));
+    return true;
+  }
+
+  async updateCharacterSheet(args) {
+    if (!this.client || !this.room) {
+      this._triggerEvent('error', { 
+        context: 'sheet', 
+        message: 'Not in a room or not logged in' 
+      });
+      return false;
+    }
+    
+    try {
+      const sheet = applySheetEdit(await this._getCharacterSheet(this.room, this.userId), args);
+      
+      // Keyed by our user ID, so nobody else can overwrite it
+      await this.client.sendStateEvent(this.room, CHARACTER_SHEET_EVENT, sheet, this.userId);
+      this._systemMessage(formatSheet(sheet, this.userId));
+      return true;
+    } catch (error) {
+      this._triggerEvent('error', { 
+        context: 'sheet', 
+        message: error.errcode === 'M_FORBIDDEN' 
+          ? 'This room does not let players save character sheets. Ask the GM to /op you or allow org.matrix.custom.rpg.character.' 
+          : error.message || 'Failed to update character sheet' 
+      });
+      return false;
+    }
+  }
+
+  // Initiative
+  _getInitiative(roomId) {
+    const state = this.client?.getRoom(roomId)?.currentState;
+    if (!state) return emptyInitiative();
+    
+    const rolls = state.getStateEvents(INITIATIVE_ROLL_EVENT).map(event => ({
+      userId: event.getStateKey(),
+      content: event.getContent(),
+      at: event.getTs()
+    }));
+    return buildInitiative(state.getStateEvents(INITIATIVE_EVENT, '')?.getContent(), rolls);
+  }
+
+  _getTurnOrder(roomId) {
+    return normalizeTurnOrder(this.client?.getRoom(roomId)?.currentState.getStateEvents(INITIATIVE_EVENT, '')?.getContent());
+  }
+
+  _isGm(roomId) {
+    return userPowerLevel(this._powerLevels(roomId), this.userId) >= NARRATOR_POWER_LEVEL;
+  }
+
+  // Change the GM's turn order event; `change` gets the turn order and the combined state and
+  // returns the new turn order content, or null to leave it
+  async _updateTurnOrder(change) {
+    return this._sendInitiative(INITIATIVE_EVENT, '', () => change(this._getTurnOrder(this.room), this._getInitiative(this.room)));
+  }
+
+  // Change our own roll; `change` gets its current content
+  async _updateOwnRoll(change) {
+    return this._sendInitiative(INITIATIVE_ROLL_EVENT, this.userId, () => {
+      const roll = this.client.getRoom(this.room)?.currentState.getStateEvents(INITIATIVE_ROLL_EVENT, this.userId);
+      return change(roll?.getContent() || {});
+    });
+  }
+
+  async _sendInitiative(eventType, stateKey, buildContent) {
+    if (!this.client || !this.room) {
+      this._triggerEvent('error', { 
+        context: 'initiative', 
+        message: 'Not in a room or not logged in' 
+      });
+      return false;
+    }
+    
+    try {
+      const content = buildContent();
+      if (!content) return false;
+      
+      await this.client.sendStateEvent(this.room, eventType, content, stateKey);
+      return true;
+    } catch (error) {
+      this._triggerEvent('error', { 
+        context: 'initiative', 
+        message: error.errcode === 'M_FORBIDDEN' 
+          ? (eventType === INITIATIVE_EVENT 
+            ? 'Only the GM can change the turn order' 
+            : `This room does not let players roll initiative. Ask the GM to allow ${INITIATIVE_ROLL_EVENT}.`)
+          : error.message || 'Failed to update initiative' 
+      });
+      return false;
+    }
+  }
+
+  // Roll (or set, for a plain number) our own initiative
+  async rollInitiative(value = null) {
+    if (!this.client || !this.room) {
+      this._triggerEvent('error', { 
+        context: 'initiative', 
+        message: 'Not in a room or not logged in' 
+      });
+      return false;
+    }
+    
+    const order = this._getTurnOrder(this.room);
+    if (order.removed.includes(this.userId)) {
+      this._triggerEvent('error', { 
+        context: 'initiative', 
+        message: 'The GM took you out of this combat' 
+      });
+      return false;
+    }
+    
+    let initiative;
+    if (value !== null && /^-?\d+$/.test(value)) {
+      initiative = Number(value);
+    } else {
+      // Default roll adds the sheet's initiative stat when there is one
+      let notation = value;
+      if (notation === null) {
+        const sheet = await this._getCharacterSheet(this.room, this.userId);
+        notation = lookupStat(sheet, 'initiative') !== undefined ? '1d20+@initiative' : '1d20';
+      }
+      
+      try {
+        initiative = (await this._sendRollEvent(notation, { label: 'initiative' })).total;
+      } catch (error) {
         this._triggerEvent('error', { 
-          context: 'sendRoll', 
-          message: 'Invalid dice notation' 
+          context: 'initiative', 
+          message: error.message || 'Failed to roll initiative' 
         });
         return false;
       }
-      
-      // Count hits (even numbers)
-      const hits = rollResult.rolls.filter(roll => roll % 2 === 0).length;
-      
-      // Find highest and lowest rolls
-      const highest = Math.max(...rollResult.rolls);
-      const lowest = Math.min(...rollResult.rolls);
-      
-      // Determine if highest and lowest are even or odd
-      const highEvenOdd = highest % 2 === 0 ? 'even' : 'odd';
-      const lowEvenOdd = lowest % 2 === 0 ? 'even' : 'odd';
-      
-      // Get user ID without the domain part
-      const username = this.userId.split(':')[0];
-      
-      // Format roll text with hit count and high/low even/odd status
-      const rollText = `🎲 @${username} ${notation}: [${rollResult.rolls.join('][')}] = ${hits} hit${hits !== 1 ? 's' : ''}, high ${highEvenOdd}, low ${lowEvenOdd}`;
-      
-      // Send as a special roll message
-      await this.client.sendEvent(this.room, "m.room.message", {
-        msgtype: "m.text",
-        body: rollText,
-        format: "org.matrix.custom.rpg",
-        formatted_body: {
-          type: "roll",
-          dice: notation,
-          rolls: rollResult.rolls,
-          hits: hits,
-          highEvenOdd: highEvenOdd,
-          lowEvenOdd: lowEvenOdd,
-          username: username
-        }
+    }
+    
+    const sheet = await this._getCharacterSheet(this.room, this.userId);
+    return this._updateOwnRoll(roll => ({
+      combat: order.combat,
+      name: sheet.name || this.userId.split(':')[0].substring(1),
+      initiative,
+      // Re-rolling doesn't give back a turn already passed this combat
+      ...(roll.combat === order.combat && Number.isInteger(roll.passed) && { passed: roll.passed })
+    }));
+  }
+
+  // GM-only: add a non-player combatant
+  async addInitiativeEntry(name, value) {
+    const initiative = Number(value);
+    if (!this._isGm(this.room) || !Number.isInteger(initiative)) {
+      this._triggerEvent('error', { 
+        context: 'initiative', 
+        message: !Number.isInteger(initiative) ? 'Usage: /init add NAME VALUE' : 'Only the GM can add combatants' 
+      });
+      return false;
+    }
+    
+    return this._updateTurnOrder((order, state) => addCombatant(order, state, { id: `npc:${name}`, name, userId: null, initiative }));
+  }
+
+  // Players can remove themselves; the GM can remove anyone
+  async removeInitiativeEntry(name) {
+    const entry = findEntry(this._getInitiative(this.room), name);
+    if (!entry || (entry.userId !== this.userId && !this._isGm(this.room))) {
+      this._triggerEvent('error', { 
+        context: 'initiative', 
+        message: entry ? 'Only the GM can remove other combatants' : `No combatant called "${name}"` 
+      });
+      return false;
+    }
+    
+    // Our own roll is ours to clear; anyone else is taken out through the turn order
+    if (entry.userId === this.userId) {
+      return this._updateOwnRoll(() => ({}));
+    }
+    return this._updateTurnOrder((order, state) => removeCombatant(order, state, entry.id));
+  }
+
+  // The current combatant or the GM passes the turn on
+  async advanceInitiative() {
+    const state = this._getInitiative(this.room);
+    const current = currentEntry(state);
+    if (!current) {
+      this._systemMessage(formatInitiative(state));
+      return false;
+    }
+    
+    if (this._isGm(this.room)) {
+      return this._updateTurnOrder(advanceTurn);
+    }
+    if (current.userId !== this.userId) {
+      this._triggerEvent('error', { 
+        context: 'initiative', 
+        message: `It's ${current.name}'s turn; only they or the GM can end it` 
+      });
+      return false;
+    }
+    return this._updateOwnRoll(roll => ({ ...roll, passed: state.round }));
+  }
+
+  async endInitiative() {
+    if (!this._isGm(this.room)) {
+      this._triggerEvent('error', { 
+        context: 'initiative', 
+        message: 'Only the GM can end combat' 
+      });
+      return false;
+    }
+    
+    return this._updateTurnOrder((order, state) => state.active ? endCombat(order) : null);
+  }
+
+  // Compare the synced turn order with what we last saw and tell the UI what changed
+  _handleInitiativeChange(roomId, notify = true) {
+    const initiative = this._getInitiative(roomId);
+    const previous = this.initiative[roomId] || emptyInitiative();
+    this.initiative[roomId] = initiative;
+    
+    const current = currentEntry(initiative);
+    const previousCurrent = currentEntry(previous);
+    const turnChanged = !!current && (
+      !previousCurrent || 
+      current.id !== previousCurrent.id || 
+      initiative.round !== previous.round
+    );
+    
+    this._triggerEvent('initiative', { 
+      roomId,
+      initiative,
+      current,
+      ended: previous.active && !initiative.active,
+      yourTurn: notify && turnChanged && current.userId === this.userId
+    });
+  }
+
+  // Moderation: action is invite, kick, ban, unban or op (with a power level)
+  async moderate(action, user, { reason, level } = {}) {
+    if (!this.client || !this.room) {
+      this._triggerEvent('error', { 
+        context: 'moderation', 
+        message: 'Not in a room or not logged in' 
+      });
+      return false;
+    }
+    
+    const userId = this._resolveUser(this.room, user);
+    if (!userId) {
+      this._triggerEvent('error', { 
+        context: 'moderation', 
+        message: `No member matches "${user}". Use a full ID like @user:matrix.org` 
+      });
+      return false;
+    }
+    
+    // Check against current power levels first for a clearer error than M_FORBIDDEN
+    const roomState = this.roomState[this.room] || await this._updateRoomState(this.room);
+    const problem = moderationError(roomState?.powerLevels, this.userId, action, userId, level);
+    if (problem) {
+      this._triggerEvent('error', { 
+        context: 'moderation', 
+        message: problem 
       });
+      return false;
+    }
+    
+    try {
+      if (action === 'invite') {
+        await this.client.invite(this.room, userId, reason);
+        this._systemMessage(`Invited ${userId}`);
+      } else if (action === 'kick') {
+        await this.client.kick(this.room, userId, reason);
+        this._systemMessage(`Kicked ${userId}${reason ? `: ${reason}` : ''}`);
+      } else if (action === 'ban') {
+        await this.client.ban(this.room, userId, reason);
+        this._systemMessage(`Banned ${userId}${reason ? `: ${reason}` : ''}`);
+      } else if (action === 'unban') {
+        await this.client.unban(this.room, userId);
+        this._systemMessage(`Unbanned ${userId}`);
+      } else if (action === 'op') {
+        // Change only this user's entry in the current power levels
+        const powerLevelsEvent = this.client.getRoom(this.room)?.currentState.getStateEvents('m.room.power_levels', '');
+        await this.client.setPowerLevel(this.room, userId, level, powerLevelsEvent || null);
+        this._systemMessage(`Set ${userId} to power level ${level}`);
+      }
       
+      await this._updateRoomState(this.room);
       return true;
     } catch (error) {
       this._triggerEvent('error', { 
-        context: 'sendRoll', 
-        message: error.message || 'Failed to send roll' 
+        context: 'moderation', 
+        message: error.errcode === 'M_FORBIDDEN' 
+          ? `The server refused to ${action} ${userId}: ${error.message}` 
+          : error.message || `Failed to ${action} ${userId}` 
       });
       return false;
     }
   }
 
-  rollDice(notation) {
-    // Parse dice notation like "2d6"
-    const match = notation.match(/^(\d+)d(\d+)$/);
-    if (!match) return null;
-    
-    const count = parseInt(match[1], 10);
-    const sides = parseInt(match[2], 10);
+  // Full user ID from @user:server, or a member's localpart or display name
+  _resolveUser(roomId, user) {
+    if (/^@[^:\s]+:\S+$/.test(user)) return user;
     
-    // Validate limits to prevent abuse
-    if (count > 100 || sides > 1000) return null;
-    
-    const rolls = Array(count).fill(0).map(() => 
-      Math.floor(Math.random() * sides) + 1
+    const name = user.replace(/^@/, '').toLowerCase();
+    const members = this.client.getRoom(roomId)?.getMembers() || [];
+    const match = members.find(member => 
+      member.userId.substring(1).split(':')[0].toLowerCase() === name ||
+      (member.name || '').toLowerCase() === name
     );
-    
-    return {
-      rolls,
-      total: rolls.reduce((a, b) => a + b, 0)
-    };
+    return match ? match.userId : null;
   }
 
   // Command processing
@@ -662,11 +2503,17 @@ export class MatrixRPGClient {
     
     // Process commands
     if (input.startsWith('/login ')) {
-      const [_, username, password] = input.split(' ');
+      const [, username, password] = input.split(' ');
+      
+      // After a soft logout only the password is needed
+      if (this.sessionExpired && username && !password) {
+        return await this.resumeSession(username);
+      }
+      
       if (!username || !password) {
         this._triggerEvent('error', { 
           context: 'command', 
-          message: 'Usage: /login username password' 
+          message: 'Usage: /login username password (or /login @user:server password)' 
         });
         return { success: false };
       }
@@ -674,6 +2521,16 @@ export class MatrixRPGClient {
       return await this.login(username, password);
     }
     
+    else if (input === '/server' || input.startsWith('/server ')) {
+      const server = input.substring(7).trim();
+      if (!server) {
+        this._systemMessage(`Homeserver: ${this.baseUrl}. Use /server example.org or /server https://matrix.example.org to change it.`);
+        return true;
+      }
+      
+      return await this.setHomeserver(server);
+    }
+    
     else if (input.startsWith('/join ')) {
       const parts = input.split(' ');
       const roomId = parts[1];
@@ -702,16 +2559,150 @@ export class MatrixRPGClient {
       return await this.leaveRoom();
     }
     
+    else if (input === '/create' || input.startsWith('/create ')) {
+      let options;
+      try {
+        options = parseCreateArgs(input.substring(7));
+      } catch (error) {
+        this._triggerEvent('error', { 
+          context: 'command', 
+          message: error.message 
+        });
+        return false;
+      }
+      
+      return await this.createCampaignRoom(options);
+    }
+    
+    else if (/^\/(invite|kick|ban|unban|op)(\s|$)/.test(input)) {
+      const [command, user, ...rest] = input.trim().split(/\s+/);
+      const action = command.substring(1);
+      const usage = {
+        invite: '/invite @user:server',
+        kick: '/kick USER [REASON]',
+        ban: '/ban USER [REASON]',
+        unban: '/unban USER',
+        op: '/op USER LEVEL (0 player, 50 co-GM, 100 GM)'
+      }[action];
+      
+      if (!user || (action === 'op' && rest.length !== 1)) {
+        this._triggerEvent('error', { 
+          context: 'command', 
+          message: `Usage: ${usage}` 
+        });
+        return false;
+      }
+      
+      return await this.moderate(action, user, {
+        reason: rest.join(' ') || undefined,
+        level: action === 'op' ? Number(rest[0]) : null
+      });
+    }
+    
+    else if (input === '/sheet' || input.startsWith('/sheet ')) {
+      const args = input.substring(6).trim().split(/\s+/).filter(Boolean);
+      
+      if (args.length === 0) {
+        return await this.showCharacterSheet();
+      }
+      if (args[0] === 'help') {
+        this._systemMessage(`Usage: ${SHEET_USAGE}`);
+        return true;
+      }
+      // A single word that isn't an edit is someone's name: show their sheet
+      if (args.length === 1 && !['name', 'attr', 'skill', 'field', 'remove'].includes(args[0])) {
+        return await this.showCharacterSheet(args[0]);
+      }
+      
+      return await this.updateCharacterSheet(args);
+    }
+    
+    else if (input === '/init' || input.startsWith('/init ')) {
+      const [action, ...args] = input.substring(5).trim().split(/\s+/).filter(Boolean);
+      
+      if (!this.room) {
+        this._triggerEvent('error', { 
+          context: 'command', 
+          message: 'Not in a room' 
+        });
+        return false;
+      }
+      
+      if (action === 'next') {
+        return await this.advanceInitiative();
+      } else if (action === 'end') {
+        return await this.endInitiative();
+      } else if (action === 'show') {
+        this._systemMessage(formatInitiative(this._getInitiative(this.room)));
+        return true;
+      } else if (action === 'add') {
+        const value = args.pop();
+        if (args.length === 0) {
+          this._triggerEvent('error', { 
+            context: 'command', 
+            message: 'Usage: /init add NAME VALUE' 
+          });
+          return false;
+        }
+        return await this.addInitiativeEntry(args.join(' '), value);
+      } else if (action === 'remove') {
+        if (args.length === 0) {
+          this._triggerEvent('error', { 
+            context: 'command', 
+            message: 'Usage: /init remove NAME' 
+          });
+          return false;
+        }
+        return await this.removeInitiativeEntry(args.join(' '));
+      } else if (action === 'help') {
+        this._systemMessage(`Usage: ${INIT_USAGE}`);
+        return true;
+      }
+      
+      // Anything else is a value or dice expression for our own initiative
+      return await this.rollInitiative(action ? [action, ...args].join(' ') : null);
+    }
+    
+    else if (input === '/rooms') {
+      const rooms = this.getRooms();
+      if (rooms.length === 0) {
+        this._systemMessage('Not in any rooms. Use /join #room:matrix.org to join one.');
+        return true;
+      }
+      
+      const lines = rooms.map(room =>
+        `${room.index}. ${room.name}` +
+        (room.active ? ' (active)' : '') +
+        (room.unread ? ` — ${room.unread} unread` : '')
+      );
+      this._systemMessage(`Rooms:\n${lines.join('\n')}\nUse /switch NUMBER or /switch NAME to change rooms.`);
+      return true;
+    }
+    
+    else if (input === '/switch' || input.startsWith('/switch ')) {
+      const target = input.substring(7).trim();
+      if (!target) {
+        this._triggerEvent('error', { 
+          context: 'command', 
+          message: 'Usage: /switch NUMBER|NAME|#alias (see /rooms)' 
+        });
+        return false;
+      }
+      
+      return this.switchRoom(target);
+    }
+
     else if (input.startsWith('/reset')) {
       return this.reset();
     }
     
     else if (input.startsWith('/roll ')) {
-      const notation = input.split(' ')[1];
-      if (!notation || !notation.match(/^\d+d\d+$/)) {
+      // Everything after /roll is the dice expression, spaces included (e.g. "1d20+3 adv")
+      const notation = input.substring(6).trim();
+      if (!notation) {
         this._triggerEvent('error', { 
           context: 'command', 
-          message: 'Usage: /roll XdY (e.g., /roll 2d6)' 
+          message: 'Usage: /roll EXPRESSION (e.g., /roll 2d6+1, /roll 4d6kh3, /roll 1d20 adv)' 
         });
         return false;
       }
@@ -719,18 +2710,78 @@ export class MatrixRPGClient {
       return await this.sendRoll(notation);
     }
     
+    else if (input === '/system' || input.startsWith('/system ')) {
+      const [systemId, ...args] = input.substring(7).trim().split(/\s+/).filter(Boolean);
+      
+      if (!this.room) {
+        this._triggerEvent('error', { 
+          context: 'command', 
+          message: 'Not in a room' 
+        });
+        return false;
+      }
+      
+      // Without arguments, show the current system and the available ones
+      if (!systemId || systemId === 'list') {
+        const current = getRuleSystem(this._getRuleSystem(this.room).system);
+        const available = Object.entries(RULE_SYSTEMS).map(([id, system]) => `${id} (${system.usage})`).join(', ');
+        this._systemMessage(`Rule system: ${current.name}. Available: ${available}`);
+        return true;
+      }
+      
+      return await this.setRuleSystem(systemId, args);
+    }
+    
+    else if (input.startsWith('/verify ')) {
+      const target = input.substring(8).trim();
+      
+      if (['accept', 'confirm', 'cancel'].includes(target)) {
+        return await this.respondToVerification(target);
+      }
+      
+      if (!target.startsWith('@')) {
+        this._triggerEvent('error', { 
+          context: 'command', 
+          message: 'Usage: /verify @user:server, then /verify accept | confirm | cancel' 
+        });
+        return false;
+      }
+      
+      return await this.requestDeviceVerification(target);
+    }
+    
+    else if (input === '/backup') {
+      return await this.createKeyBackup();
+    }
+    
+    else if (input.startsWith('/restore ')) {
+      // Recovery keys are shown in groups separated by spaces
+      const recoveryKey = input.substring(9).trim();
+      if (!recoveryKey) {
+        this._triggerEvent('error', { 
+          context: 'command', 
+          message: 'Usage: /restore RECOVERY_KEY' 
+        });
+        return false;
+      }
+      
+      return await this.restoreKeyBackup(recoveryKey);
+    }
+    
     else if (input.startsWith('/scene ')) {
-      // Get scene name (everything after /scene)
-      const sceneName = input.substring(7).trim();
-      if (!sceneName) {
+      // Scene name, then optional --type, --location and --with
+      let scene;
+      try {
+        scene = parseSceneArgs(input.substring(7));
+      } catch (error) {
         this._triggerEvent('error', { 
           context: 'command', 
-          message: 'Usage: /scene Scene Name' 
+          message: error.message 
         });
         return false;
       }
       
-      return await this.sendScene(sceneName, 'regular');
+      return await this.sendScene(scene.sceneName, scene.sceneType, scene);
     }
     
     else if (input.startsWith('/narrate ')) {
@@ -747,6 +2798,72 @@ export class MatrixRPGClient {
       return await this.sendNarration(narrationText);
     }
     
+    else if (input === '/export' || input.startsWith('/export ')) {
+      // Format, then optional --from, --to, --scenes and --chat
+      let request;
+      try {
+        request = parseExportArgs(input.substring(7));
+      } catch (error) {
+        this._triggerEvent('error', { 
+          context: 'command', 
+          message: error.message 
+        });
+        return false;
+      }
+      
+      return await this.exportTranscript(request.format, request.filters, { entireHistory: request.entireHistory });
+    }
+    
+    else if (input === '/edit' || input.startsWith('/edit ')) {
+      const text = input.substring(5).trim();
+      if (!text) {
+        this._triggerEvent('error', { 
+          context: 'command', 
+          message: 'Usage: /edit corrected text (replaces your last message)' 
+        });
+        return false;
+      }
+      
+      return await this.editLastMessage(text);
+    }
+    
+    else if (input === '/rolls' || input.startsWith('/rolls ')) {
+      const arg = input.substring(6).trim().toLowerCase();
+      if (arg && arg !== 'all') {
+        this._triggerEvent('error', { 
+          context: 'command', 
+          message: `Usage: ${ROLLS_USAGE}` 
+        });
+        return false;
+      }
+      
+      return await this.showRollAudit({ entireHistory: arg === 'all' });
+    }
+    
+    else if (input === '/purge' || input.startsWith('/purge ')) {
+      const args = input.substring(6).trim();
+      if (args === 'resume') {
+        return await this.resumePurge();
+      }
+      if (args === 'cancel') {
+        return this.cancelPurge();
+      }
+      
+      // Filters, then --confirm once the dry run looks right
+      let request;
+      try {
+        request = parsePurgeArgs(args);
+      } catch (error) {
+        this._triggerEvent('error', { 
+          context: 'command', 
+          message: error.message 
+        });
+        return false;
+      }
+      
+      return await this.purgeMessages(request.filters, { confirm: request.confirm });
+    }
+    
     else if (input.startsWith('/delete')) {
       if (!this.room) {
         this._triggerEvent('error', { 
@@ -759,7 +2876,7 @@ export class MatrixRPGClient {
     }
     
     else if (input.startsWith('/logout')) {
-      this.logout();
+      await this.logout();
       return { success: false, logout: true };
     }
     
@@ -777,92 +2894,345 @@ export class MatrixRPGClient {
     }
   }
 
+  _getPowerLevel(roomId, userId) {
+    return this.roomState[roomId]?.members?.[userId]?.powerLevel || 0;
+  }
+
+  // Power levels content for a room: from _updateRoomState, or the synced state until that has run
+  _powerLevels(roomId) {
+    return this.roomState[roomId]?.powerLevels ||
+      this.client?.getRoom(roomId)?.currentState.getStateEvents('m.room.power_levels', '')?.getContent() ||
+      null;
+  }
+
+  // Scenes and narration from players without the GM's power level show as plain game posts.
+  // Judged by the power levels when the event was sent, so history keeps its GM posts after a
+  // GM steps down and doesn't gain them when a player is promoted.
+  _authorizeRpgEvent(decoded) {
+    const powerLevels = this._stateContentAt(decoded.roomId, decoded.eventId, 'm.room.power_levels') ||
+      this._powerLevels(decoded.roomId);
+    if (powerLevels && rpgPostError(powerLevels, decoded.sender, decoded.type)) {
+      return { ...decoded, type: 'game', downgradedFrom: decoded.type };
+    }
+    return decoded;
+  }
+
+  // Forward a decoded RPG event (see rpgEvents.js) to the UI listeners
+  _emitRpgEvent(decoded, { historical = false } = {}) {
+    if (!decoded) return;
+    
+    decoded = this._authorizeRpgEvent(decoded);
+    const { roomId, sender, eventId } = decoded;
+    
+    // Edits update the message they replace instead of showing up on their own
+    if (decoded.type === 'edit') {
+      this._emitEdit(decoded);
+      return;
+    }
+    
+    const data = {
+      ...decoded,
+      powerLevel: this._getPowerLevel(roomId, sender)
+    };
+    if (historical) data.historical = true;
+    
+    // Count new messages from others in rooms we aren't looking at
+    if (!historical && roomId !== this.room && sender !== this.userId) {
+      this.unreadCounts[roomId] = (this.unreadCounts[roomId] || 0) + 1;
+      this._triggerEvent('unread', { 
+        roomId,
+        name: this._roomName(roomId),
+        count: this.unreadCounts[roomId]
+      });
+    }
+    
+    if (decoded.type === 'roll') {
+      // Verification result follows as a rollVerification event
+      this._triggerEvent('roll', { ...data, verified: null });
+      this._verifyRollEvent(roomId, eventId, sender, decoded);
+    }
+    else if (decoded.type === 'scene') {
+      this._triggerEvent('scene', data);
+    }
+    else if (decoded.type === 'system') {
+      // m.notice from bots or bridges
+      this._triggerEvent('message', { ...data, system: true });
+    }
+    else {
+      // narrate, game, chat, emote
+      this._triggerEvent('message', data);
+    }
+  }
+
+  // Apply an edit to the message it replaces. Targets we haven't loaded yet get the edit from the
+  // SDK's aggregation when they arrive (see decodeRpgEvent).
+  _emitEdit(edit) {
+    const target = this.client?.getRoom(edit.roomId)?.findEventById(edit.replaces);
+    const original = target && decodeRpgEvent(target);
+    if (!original) return;
+    
+    const updated = applyEdit(this._authorizeRpgEvent(original), edit);
+    if (updated.editedAt !== edit.timestamp) return;
+    
+    this._triggerEvent('edit', { 
+      roomId: edit.roomId,
+      eventId: edit.replaces,
+      sender: edit.sender,
+      type: updated.type,
+      text: updated.text,
+      editedAt: updated.editedAt
+    });
+  }
+
+  // Decrypt a live event if needed, then handle it; if the keys aren't here yet, wait for them
+  // `historical` is for events that happened a while ago, like those missed while offline: they
+  // are shown in place without counting as unread or animating in
+  async _handleLiveEvent(event, room, { historical = false } = {}) {
+    if (event.isEncrypted()) {
+      await this.client.decryptEventIfNeeded(event);
+      if (event.isDecryptionFailure()) {
+        event.once('Event.decrypted', () => {
+          if (!event.isDecryptionFailure()) this._handleTimelineEvent(event, room, { historical });
+        });
+        return;
+      }
+    }
+    
+    this._handleTimelineEvent(event, room, { historical });
+  }
+
+  // Turn a (decrypted) timeline event into RPG events
+  _handleTimelineEvent(event, room, { historical = false } = {}) {
+    this._markSeen(room.roomId, event);
+    this._emitRpgEvent(decodeRpgEvent(event), { historical });
+    
+    // Turn order changes
+    if (event.getType() === INITIATIVE_EVENT || event.getType() === INITIATIVE_ROLL_EVENT) {
+      this._handleInitiativeChange(room.roomId);
+    }
+    
+    // A player's character changed name
+    if (event.getType() === CHARACTER_SHEET_EVENT) {
+      this._refreshMembers(room.roomId, [event.getStateKey()]);
+    }
+    
+    // Handle room member, power level and rule system changes
+    if (event.getType() === 'm.room.member' || 
+        event.getType() === 'm.room.power_levels' || 
+        event.getType() === RULE_SYSTEM_EVENT) {
+      this._updateRoomState(room.roomId);
+    }
+  }
+
   // Event listeners
   setupClientListeners() {
     if (!this.client) return;
     
-    this.client.on('Room.timeline', (event, room) => {
-      // Only process messages if they're from our actively joined room
-      if (room.roomId !== this.room) return;
+    this.client.on('Room.timeline', async (event, room, toStartOfTimeline) => {
+      // Only process messages from our campaign rooms; inactive ones are buffered by the UI
+      if (!this.rooms.includes(room.roomId)) return;
       
-      if (event.getType() === 'm.room.message' && !event.isRedacted()) {
-        const content = event.getContent();
-        const sender = event.getSender();
-        const roomId = room.roomId;
-        
-        // Get power level
-        let powerLevel = 0;
-        if (this.roomState[roomId] && 
-            this.roomState[roomId].members && 
-            this.roomState[roomId].members[sender]) {
-          powerLevel = this.roomState[roomId].members[sender].powerLevel;
-        }
-        
-        // Determine message type
-        const messageType = content.formatted_body?.type || 'chat'; // Default to chat
+      // Older events from scroll-back are shown by loadOlderMessages
+      if (toStartOfTimeline) return;
+      
+      // New messages wait until the ones missed before them are shown; our own local echoes don't
+      const gap = this.gaps[room.roomId];
+      if (gap && !event.status) {
+        gap.buffered.push(event);
+        return;
+      }
+      
+      await this._handleLiveEvent(event, room);
+    });
+    
+    // After a long disconnect the server skips ahead, and the SDK starts a new live timeline
+    this.client.on('Room.timelineReset', (room, timelineSet) => {
+      if (!room || !this.rooms.includes(room.roomId) || timelineSet !== room.getUnfilteredTimelineSet()) return;
+      this._openGap(room.roomId);
+    });
+    
+    // Deleted messages go away for everyone, whoever deleted them
+    this.client.on('Room.redaction', (event, room) => {
+      if (!this.rooms.includes(room.roomId)) return;
+      
+      const redactedId = event.getAssociatedId();
+      if (!redactedId) return;
+      
+      this._triggerEvent('redaction', { 
+        roomId: room.roomId,
+        eventId: redactedId,
+        redactedBy: event.getSender(),
+        redactedAt: event.getTs(),
+        reason: event.getContent().reason || null
+      });
+    });
+    
+    // Our messages show up under a temporary ID until the server confirms them
+    this.client.on('Room.localEchoUpdated', (event, room, oldEventId) => {
+      if (!this.rooms.includes(room.roomId)) return;
+      
+      this._triggerEvent('localEcho', { 
+        roomId: room.roomId,
+        oldEventId: oldEventId || event.getId(),
+        eventId: event.getId(),
+        status: event.status
+      });
+    });
+    
+    // Presence changes for members of our rooms
+    this.client.on('User.presence', (event, user) => {
+      this.rooms.forEach(roomId => this._refreshMembers(roomId, [user.userId]));
+    });
+    
+    // Who is drafting a message in each room, ourselves excluded
+    this.client.on('RoomMember.typing', (event, member) => {
+      if (!this.rooms.includes(member.roomId)) return;
+      
+      const room = this.client.getRoom(member.roomId);
+      const typingUsers = (room?.getMembers() || [])
+        .filter(roomMember => roomMember.typing && roomMember.userId !== this.userId)
+        .map(roomMember => ({ userId: roomMember.userId, name: roomMember.name }));
+      
+      this._triggerEvent('typing', { 
+        roomId: member.roomId,
+        users: typingUsers
+      });
+    });
+    
+    // Another device asked to verify ours
+    this.client.on('crypto.verification.request', (request) => {
+      if (request.initiatedByMe) return;
+      
+      this._trackVerification(request);
+      this._systemMessage(`${request.otherUserId} wants to verify your device. Use /verify accept or /verify cancel.`);
+    });
+    
+    // Expired or revoked access token
+    this.client.on('Session.logged_out', (error) => {
+      this._handleSessionLoggedOut(error);
+    });
+    
+    // Room state is known after the first sync: show any combat already in progress
+    this.client.on('sync', (state, prevState, data) => {
+      this.syncState = state;
+      this._reportConnection(state === 'ERROR' ? data?.error?.message || 'Sync error' : null);
+      
+      if (state === 'PREPARED') {
+        this.rooms.forEach(roomId => this._handleInitiativeChange(roomId, false));
+        this._restoreOutbox();
         
-        // Check if it's a roll message
-        if (content.format === 'org.matrix.custom.rpg' && messageType === 'roll') {
-          // Handle roll message
-          this._triggerEvent('roll', {
-            sender,
-            roomId,
-            text: content.body,
-            dice: content.formatted_body.dice,
-            rolls: content.formatted_body.rolls,
-            hits: content.formatted_body.hits,
-            highEvenOdd: content.formatted_body.highEvenOdd,
-            lowEvenOdd: content.formatted_body.lowEvenOdd,
-            username: content.formatted_body.username,
-            powerLevel
-          });
-        }
-        // Check if it's a scene message
-        else if (content.format === 'org.matrix.custom.rpg' && messageType === 'scene') {
-          this._triggerEvent('scene', {
-            sender,
-            roomId,
-            text: content.body,
-            sceneName: content.formatted_body.sceneName,
-            sceneType: content.formatted_body.sceneType,
-            powerLevel
-          });
-        } 
-        // Check if it's a narration message
-        else if (content.format === 'org.matrix.custom.rpg' && messageType === 'narrate') {
-          this._triggerEvent('message', {
-            sender,
-            roomId,
-            text: content.body,
-            type: 'narrate',
-            powerLevel
-          });
-        }
-        else {
-          // Handle regular message
-          this._triggerEvent('message', {
-            sender,
-            roomId,
-            text: content.body,
-            type: messageType,
-            powerLevel
-          });
+        // The tab was reloaded partway through a purge
+        if (this._loadPurge()) {
+          this.resumePurge();
         }
       }
       
-      // Handle room member changes to update power levels
-      if (event.getType() === 'm.room.member' || event.getType() === 'm.room.power_levels') {
-        this._updateRoomState(room.roomId);
+      // Connected again: send what was typed while offline, and show what was missed
+      if (state === 'PREPARED' || state === 'SYNCING') {
+        this._flushOutbox();
+        this._fillGaps();
       }
     });
+  }
+
+  // Connection indicator: sync state plus any gap being filled (see connection.js). Only changes
+  // are reported, not every sync.
+  _reportConnection(error = null) {
+    const { status, label } = connectionStatus(this.syncState, { fillingGap: Object.keys(this.gaps).length > 0 });
+    const previous = this.connection;
+    if (previous && previous.status === status && previous.error === error) return;
+    
+    this.connection = { 
+      status,
+      since: previous?.status === status ? previous.since : Date.now(),
+      error
+    };
+    this._triggerEvent('connection', { 
+      ...this.connection,
+      state: this.syncState,
+      label
+    });
+  }
+
+  _markSeen(roomId, event) {
+    if (event.status) return; // Local echo
+    this.lastSeen[roomId] = Math.max(this.lastSeen[roomId] || 0, event.getTs());
+  }
+
+  // The SDK resets the live timeline before it adds the events of the sync that skipped ahead,
+  // so there is nothing to page back from yet: hold live events until that sync is done
+  _openGap(roomId) {
+    if (this.gaps[roomId] || !this.lastSeen[roomId]) return;
+    
+    this.gaps[roomId] = { buffered: [], filling: false };
+    this._reportConnection(this.connection?.error || null);
+  }
+
+  // Called after each sync, once the events that came with a reset are in the live timeline
+  _fillGaps() {
+    Object.entries(this.gaps)
+      .filter(([, gap]) => !gap.filling)
+      .forEach(([roomId, gap]) => {
+        gap.filling = true;
+        const room = this.client.getRoom(roomId);
+        if (room) {
+          this._fillGap(room, gap);
+        } else {
+          delete this.gaps[roomId];
+          this._reportConnection(this.connection?.error || null);
+        }
+      });
+  }
+
+  // Page back from the new live timeline to the last event we showed, show what was missed,
+  // then the live events that arrived meanwhile, so everything appears in order
+  async _fillGap(room, gap) {
+    const roomId = room.roomId;
+    const lastSeen = this.lastSeen[roomId];
     
-    // Handle connection errors
-    this.client.on('sync.error', (error) => {
+    let missed = [];
+    try {
+      const timeline = room.getLiveTimeline();
+      let reached = false;
+      for (let page = 0; page <= GAP_FILL_MAX_PAGES; page++) {
+        const oldest = timeline.getEvents()[0];
+        reached = !oldest || oldest.getTs() <= lastSeen;
+        if (reached || page === GAP_FILL_MAX_PAGES) break;
+        
+        const hasMore = await this._withRateLimit(() => 
+          this.client.paginateEventTimeline(timeline, { backwards: true, limit: HISTORY_PAGE_SIZE })
+        );
+        if (!hasMore) {
+          reached = true;
+          break;
+        }
+      }
+      
+      // Too much to catch up on at once: say so rather than leave a silent hole
+      if (!reached) {
+        this._systemMessage(`Too many messages were missed while offline in ${this._roomName(roomId)} to load them all; the oldest aren't shown. Reload to scroll back through them.`);
+      }
+      
+      const held = new Set(gap.buffered.map(event => event.getId()));
+      missed = timeline.getEvents().filter(event => 
+        !event.status && event.getTs() > lastSeen && !held.has(event.getId())
+      );
+    } catch (error) {
       this._triggerEvent('error', { 
         context: 'sync', 
-        message: error.message || 'Sync error' 
+        message: `Could not load the messages missed while offline: ${error.message || 'request failed'}` 
       });
-    });
+    }
+    
+    for (const event of missed) {
+      await this._handleLiveEvent(event, room, { historical: true });
+    }
+    while (gap.buffered.length > 0) {
+      await this._handleLiveEvent(gap.buffered.shift(), room);
+    }
+    
+    delete this.gaps[roomId];
+    this._reportConnection(this.connection?.error || null);
   }
 
   on(event, callback) {
@@ -879,6 +3249,17 @@ export class MatrixRPGClient {
     return this; // For chaining
   }
 
+  // Local-only notice shown in both views
+  _systemMessage(text) {
+    this._triggerEvent('message', {
+      sender: this.userId,
+      roomId: this.room,
+      text,
+      type: 'system',
+      system: true
+    });
+  }
+
   _triggerEvent(event, data) {
     if (this.listeners[event]) {
       this.listeners[event].forEach(callback => callback(data));
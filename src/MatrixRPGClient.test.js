@@ -0,0 +1,77 @@
+import { EventEmitter } from 'events';
+import { MatrixRPGClient } from './MatrixRPGClient';
+
+const ROOM = '!camp:x';
+
+const event = (id, ts) => ({ getId: () => id, getTs: () => ts, status: null });
+
+// Just enough of the SDK for a room whose live timeline is reset after a long disconnect.
+// `older` is what paging back from the new timeline finds, newest first.
+const fakeSdk = (older) => {
+  const sdk = new EventEmitter();
+  const events = [];
+  const timeline = { getEvents: () => events };
+  const timelineSet = {};
+  const room = { roomId: ROOM, name: 'Camp', getLiveTimeline: () => timeline, getUnfilteredTimelineSet: () => timelineSet };
+
+  sdk.getRoom = () => room;
+  sdk.paginateEventTimeline = async () => {
+    events.unshift(...older.splice(0, 2).reverse());
+    return true;
+  };
+  // What a limited sync does: reset the timeline, add its events, then report the sync
+  sdk.limitedSync = (newEvents) => {
+    sdk.emit('Room.timelineReset', room, timelineSet);
+    newEvents.forEach(newEvent => {
+      events.push(newEvent);
+      sdk.emit('Room.timeline', newEvent, room, false);
+    });
+    sdk.emit('sync', 'SYNCING', 'RECONNECTING');
+  };
+  return sdk;
+};
+
+const connect = (sdk) => {
+  const rpg = new MatrixRPGClient();
+  rpg.client = sdk;
+  rpg.rooms = [ROOM];
+  rpg.lastSeen[ROOM] = 100;
+  rpg.setupClientListeners();
+
+  const shown = [];
+  jest.spyOn(rpg, '_handleLiveEvent').mockImplementation(async (shownEvent, room, { historical = false } = {}) => {
+    shown.push([shownEvent.getId(), historical]);
+  });
+  const fill = jest.spyOn(rpg, '_fillGap');
+  const notices = [];
+  rpg.on('message', ({ text }) => notices.push(text));
+  return { rpg, shown, fill, notices };
+};
+
+test('fills a gap once the sync that reset the timeline has added its events', async () => {
+  const sdk = fakeSdk([event('$m3', 300), event('$m2', 200), event('$old', 90)]);
+  const { rpg, shown, fill, notices } = connect(sdk);
+
+  sdk.limitedSync([event('$n1', 400), event('$n2', 500)]);
+  expect(fill).toHaveBeenCalledTimes(1);
+  await fill.mock.results[0].value;
+
+  // Paged back to the last event shown: the missed ones first, as history, then the sync's own
+  expect(shown).toEqual([['$m2', true], ['$m3', true], ['$n1', false], ['$n2', false]]);
+  expect(notices).toEqual([]);
+  expect(rpg.gaps).toEqual({});
+});
+
+test('says so when too much was missed to load', async () => {
+  const older = Array.from({ length: 100 }, (_, i) => event(`$m${i}`, 10000 - i));
+  const sdk = fakeSdk(older);
+  const { rpg, shown, fill, notices } = connect(sdk);
+
+  sdk.limitedSync([event('$n1', 20000)]);
+  await fill.mock.results[0].value;
+
+  expect(notices).toHaveLength(1);
+  expect(notices[0]).toMatch(/^Too many messages were missed while offline in Camp/);
+  expect(shown[shown.length - 1]).toEqual(['$n1', false]);
+  expect(rpg.gaps).toEqual({});
+});
@@ -0,0 +1,116 @@
+// campaignRooms.js
+// Campaign room setup: the /create command arguments and the power-level preset for new rooms.
+//
+// Matrix power levels can't tell a scene from a chat line (both are m.room.message), so the
+// preset also lists pseudo event types for them in `events`. Servers ignore these entries;
+// clients read them to decide who may post scenes and narration.
+
+import { RULE_SYSTEM_EVENT } from './ruleSystems';
+import { CHARACTER_SHEET_EVENT } from './characterSheets';
+import { INITIATIVE_EVENT, INITIATIVE_ROLL_EVENT } from './initiative';
+import { splitFlags } from './commandArgs';
+
+export const SCENE_PERMISSION = 'org.matrix.custom.rpg.scene';
+export const NARRATE_PERMISSION = 'org.matrix.custom.rpg.narrate';
+
+export const GM_POWER_LEVEL = 100;
+export const NARRATOR_POWER_LEVEL = 50; // Co-GMs promoted with /op can run scenes too
+
+export const CREATE_USAGE = '/create #alias [NAME] [--topic TEXT] [--public|--knock] [--invite @user:server ...]';
+
+const USER_ID = /^@[^:\s]+:\S+$/;
+
+// Power levels for a new campaign: the GM is admin, players can chat, roll, edit their sheets and join combat
+export const campaignPowerLevels = (gmUserId) => ({
+  users: { [gmUserId]: GM_POWER_LEVEL },
+  users_default: 0,
+  events_default: 0,
+  state_default: NARRATOR_POWER_LEVEL,
+  invite: NARRATOR_POWER_LEVEL,
+  kick: NARRATOR_POWER_LEVEL,
+  ban: NARRATOR_POWER_LEVEL,
+  redact: NARRATOR_POWER_LEVEL,
+  events: {
+    'm.room.name': NARRATOR_POWER_LEVEL,
+    'm.room.topic': NARRATOR_POWER_LEVEL,
+    'm.room.avatar': NARRATOR_POWER_LEVEL,
+    'm.room.canonical_alias': NARRATOR_POWER_LEVEL,
+    'm.room.power_levels': GM_POWER_LEVEL,
+    'm.room.join_rules': GM_POWER_LEVEL,
+    'm.room.history_visibility': GM_POWER_LEVEL,
+    'm.room.encryption': GM_POWER_LEVEL,
+    'm.room.tombstone': GM_POWER_LEVEL,
+    [RULE_SYSTEM_EVENT]: NARRATOR_POWER_LEVEL,
+    // Players keep their own sheets; the state key stops them editing anyone else's
+    [CHARACTER_SHEET_EVENT]: 0,
+    // Players roll into combat under their own state key; the turn order itself is the GM's
+    [INITIATIVE_EVENT]: NARRATOR_POWER_LEVEL,
+    [INITIATIVE_ROLL_EVENT]: 0,
+    [SCENE_PERMISSION]: NARRATOR_POWER_LEVEL,
+    [NARRATE_PERMISSION]: NARRATOR_POWER_LEVEL
+  }
+});
+
+// Split "/create" arguments into { alias, name, topic, joinRule, invites }.
+// Throws with the usage line when something is missing or malformed.
+export const parseCreateArgs = (text) => {
+  const { head, flags } = splitFlags(text);
+  const [aliasArg, ...nameWords] = head.split(/\s+/).filter(Boolean);
+
+  if (!aliasArg || aliasArg.startsWith('--')) {
+    throw new Error(`Usage: ${CREATE_USAGE}`);
+  }
+
+  // Aliases are always created on our own server, so only the localpart is used
+  const alias = aliasArg.replace(/^#/, '').split(':')[0];
+  if (!/^[a-z0-9._=-]+$/i.test(alias)) {
+    throw new Error(`Invalid alias "${aliasArg}". Use letters, digits, and . _ = -`);
+  }
+
+  const options = {
+    alias,
+    name: nameWords.join(' ') || alias,
+    topic: null,
+    joinRule: 'invite',
+    invites: []
+  };
+
+  flags.forEach(({ key, words: rest, value }) => {
+    if (key === 'topic') {
+      if (!value) throw new Error('--topic needs some text');
+      options.topic = value;
+    } else if (key === 'public' || key === 'knock') {
+      options.joinRule = key;
+    } else if (key === 'invite') {
+      const invalid = rest.filter(userId => !USER_ID.test(userId));
+      if (invalid.length > 0) {
+        throw new Error(`Not a Matrix user ID: ${invalid.join(', ')} (expected @user:server)`);
+      }
+      options.invites.push(...rest);
+    } else {
+      throw new Error(`Unknown option --${key}. Usage: ${CREATE_USAGE}`);
+    }
+  });
+
+  return options;
+};
+
+// createRoom request body for parsed /create options
+export const campaignRoomRequest = ({ alias, name, topic, joinRule, invites }, gmUserId) => {
+  const request = {
+    name,
+    room_alias_name: alias,
+    visibility: joinRule === 'public' ? 'public' : 'private',
+    preset: joinRule === 'public' ? 'public_chat' : 'private_chat',
+    invite: invites,
+    power_level_content_override: campaignPowerLevels(gmUserId),
+    initial_state: [
+      { type: 'm.room.join_rules', state_key: '', content: { join_rule: joinRule } },
+      // Players who join later still see the campaign so far
+      { type: 'm.room.history_visibility', state_key: '', content: { history_visibility: 'shared' } }
+    ]
+  };
+
+  if (topic) request.topic = topic;
+  return request;
+};
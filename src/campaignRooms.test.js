@@ -0,0 +1,36 @@
+import { parseCreateArgs, campaignRoomRequest, SCENE_PERMISSION, GM_POWER_LEVEL } from './campaignRooms';
+
+test('parses alias, name and options', () => {
+  const options = parseCreateArgs('#ashes:example.org Ashes of Ilvar --topic Weekly on Thursdays --knock --invite @bo:example.org @cy:example.org');
+  expect(options).toEqual({
+    alias: 'ashes',
+    name: 'Ashes of Ilvar',
+    topic: 'Weekly on Thursdays',
+    joinRule: 'knock',
+    invites: ['@bo:example.org', '@cy:example.org']
+  });
+});
+
+test('defaults to an invite-only room named after the alias', () => {
+  expect(parseCreateArgs('oneshot')).toMatchObject({ alias: 'oneshot', name: 'oneshot', joinRule: 'invite', invites: [] });
+});
+
+test('rejects missing aliases, bad user IDs and unknown options', () => {
+  expect(() => parseCreateArgs('')).toThrow('Usage: /create');
+  expect(() => parseCreateArgs('--public')).toThrow('Usage: /create');
+  expect(() => parseCreateArgs('#bad/alias')).toThrow('Invalid alias');
+  expect(() => parseCreateArgs('game --invite bo')).toThrow('Not a Matrix user ID: bo');
+  expect(() => parseCreateArgs('game --secret')).toThrow('Unknown option --secret');
+});
+
+test('builds a request with the GM preset', () => {
+  const request = campaignRoomRequest(parseCreateArgs('game --public --invite @bo:example.org'), '@gm:example.org');
+  expect(request.visibility).toBe('public');
+  expect(request.invite).toEqual(['@bo:example.org']);
+  expect(request.initial_state[0].content.join_rule).toBe('public');
+
+  const powerLevels = request.power_level_content_override;
+  expect(powerLevels.users['@gm:example.org']).toBe(GM_POWER_LEVEL);
+  expect(powerLevels.events_default).toBe(0);
+  expect(powerLevels.events[SCENE_PERMISSION]).toBeGreaterThan(powerLevels.users_default);
+});
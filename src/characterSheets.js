@@ -0,0 +1,125 @@
+// characterSheets.js
+// Character sheets stored as room state: one org.matrix.custom.rpg.character event per player,
+// with the player's user ID as state key (Matrix only lets a user send state keyed by their own ID).
+// Attributes and skills are whole numbers that rolls can reference as @name; fields are free text.
+
+export const CHARACTER_SHEET_EVENT = 'org.matrix.custom.rpg.character';
+
+export const SHEET_USAGE = '/sheet [USER] | /sheet name NAME | /sheet attr NAME VALUE | /sheet skill NAME VALUE | /sheet field NAME TEXT | /sheet remove NAME';
+
+const SECTIONS = {
+  attr: 'attributes',
+  skill: 'skills',
+  field: 'fields'
+};
+
+const STAT_NAME = /^[a-z_]\w*$/i;
+
+export const emptySheet = () => ({
+  name: '',
+  attributes: {},
+  skills: {},
+  fields: {}
+});
+
+const asRecord = (value) => value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+
+// State content from other clients may be partial or malformed
+export const normalizeSheet = (content) => {
+  const sheet = emptySheet();
+  if (!content) return sheet;
+
+  sheet.name = typeof content.name === 'string' ? content.name : '';
+  ['attributes', 'skills'].forEach(section => {
+    Object.entries(asRecord(content[section])).forEach(([key, value]) => {
+      if (Number.isInteger(value)) sheet[section][key] = value;
+    });
+  });
+  Object.entries(asRecord(content.fields)).forEach(([key, value]) => {
+    if (typeof value === 'string') sheet.fields[key] = value;
+  });
+
+  return sheet;
+};
+
+// Find a stat by name, ignoring case; attributes win over skills with the same name
+export const lookupStat = (sheet, name) => {
+  const wanted = name.toLowerCase();
+  for (const section of ['attributes', 'skills']) {
+    const key = Object.keys(sheet[section]).find(stat => stat.toLowerCase() === wanted);
+    if (key !== undefined) return sheet[section][key];
+  }
+  return undefined;
+};
+
+// Apply an edit command (the words after /sheet) and return the updated sheet.
+// Throws with a usage message for invalid edits.
+export const applySheetEdit = (sheet, [action, key, ...rest]) => {
+  const updated = {
+    name: sheet.name,
+    attributes: { ...sheet.attributes },
+    skills: { ...sheet.skills },
+    fields: { ...sheet.fields }
+  };
+  const value = rest.join(' ');
+
+  if (action === 'name') {
+    const name = [key, ...rest].filter(Boolean).join(' ');
+    if (!name) throw new Error('Usage: /sheet name NAME');
+    updated.name = name;
+    return updated;
+  }
+
+  if (action === 'remove') {
+    if (!key) throw new Error('Usage: /sheet remove NAME');
+    const section = ['attributes', 'skills', 'fields'].find(name => Object.prototype.hasOwnProperty.call(updated[name], key));
+    if (!section) throw new Error(`No stat or field called "${key}"`);
+    delete updated[section][key];
+    return updated;
+  }
+
+  const section = SECTIONS[action];
+  if (!section) {
+    throw new Error(`Usage: ${SHEET_USAGE}`);
+  }
+  if (!key || !STAT_NAME.test(key)) {
+    throw new Error('Names must start with a letter and use only letters, digits and _');
+  }
+  if (!value) {
+    throw new Error(`Usage: /sheet ${action} NAME ${section === 'fields' ? 'TEXT' : 'VALUE'}`);
+  }
+
+  if (section === 'fields') {
+    updated.fields[key] = value;
+  } else {
+    const number = Number(value);
+    if (!Number.isInteger(number)) {
+      throw new Error(`${action === 'attr' ? 'Attributes' : 'Skills'} must be whole numbers`);
+    }
+    updated[section][key] = number;
+  }
+
+  return updated;
+};
+
+const formatStats = (stats) => Object.entries(stats).map(([key, value]) => `${key} ${value}`).join(', ');
+
+// Multi-line text version of a sheet for system messages
+export const formatSheet = (sheet, owner) => {
+  const lines = [`${sheet.name || 'Unnamed character'} (${owner})`];
+
+  if (Object.keys(sheet.attributes).length > 0) {
+    lines.push(`Attributes: ${formatStats(sheet.attributes)}`);
+  }
+  if (Object.keys(sheet.skills).length > 0) {
+    lines.push(`Skills: ${formatStats(sheet.skills)}`);
+  }
+  Object.entries(sheet.fields).forEach(([key, value]) => {
+    lines.push(`${key}: ${value}`);
+  });
+
+  if (lines.length === 1) {
+    lines.push('Empty sheet. Use /sheet attr NAME VALUE to add stats.');
+  }
+  return lines.join('\n');
+};
@@ -0,0 +1,40 @@
+import { applySheetEdit, emptySheet, formatSheet, lookupStat, normalizeSheet } from './characterSheets';
+
+test('edits names, stats and fields', () => {
+  let sheet = emptySheet();
+  sheet = applySheetEdit(sheet, ['name', 'Kira', 'Vess']);
+  sheet = applySheetEdit(sheet, ['attr', 'Grit', '2']);
+  sheet = applySheetEdit(sheet, ['skill', 'stealth', '-1']);
+  sheet = applySheetEdit(sheet, ['field', 'background', 'Former', 'smuggler']);
+
+  expect(sheet).toEqual({
+    name: 'Kira Vess',
+    attributes: { Grit: 2 },
+    skills: { stealth: -1 },
+    fields: { background: 'Former smuggler' }
+  });
+
+  expect(applySheetEdit(sheet, ['remove', 'stealth']).skills).toEqual({});
+});
+
+test('rejects invalid edits', () => {
+  expect(() => applySheetEdit(emptySheet(), ['attr', 'grit', 'lots'])).toThrow('Attributes must be whole numbers');
+  expect(() => applySheetEdit(emptySheet(), ['attr', '2grit', '1'])).toThrow('Names must start with a letter');
+  expect(() => applySheetEdit(emptySheet(), ['remove', 'grit'])).toThrow('No stat or field called "grit"');
+  expect(() => applySheetEdit(emptySheet(), ['remove'])).toThrow('Usage: /sheet remove NAME');
+  expect(() => applySheetEdit(emptySheet(), ['remove', 'toString'])).toThrow('No stat or field called "toString"');
+  expect(() => applySheetEdit(emptySheet(), ['level', 'up'])).toThrow('Usage: /sheet');
+});
+
+test('looks up stats without regard to case', () => {
+  const sheet = normalizeSheet({ attributes: { Grit: 2 }, skills: { grit: 5, lore: 1 } });
+  expect(lookupStat(sheet, 'grit')).toBe(2);
+  expect(lookupStat(sheet, 'LORE')).toBe(1);
+  expect(lookupStat(sheet, 'luck')).toBeUndefined();
+});
+
+test('drops malformed state content', () => {
+  const sheet = normalizeSheet({ name: 7, attributes: { grit: '2', wits: 1 }, skills: [], fields: { notes: 'ok', bad: {} } });
+  expect(sheet).toEqual({ name: '', attributes: { wits: 1 }, skills: {}, fields: { notes: 'ok' } });
+  expect(formatSheet(sheet, '@kira:x')).toBe('Unnamed character (@kira:x)\nAttributes: wits 1\nnotes: ok');
+});
@@ -0,0 +1,48 @@
+// commandArgs.js
+// Shared parsing for slash commands that take --options, e.g. "/scene The Docks --type combat".
+
+// Split command arguments into the text before the first option and the options, each as
+// { key, words, value } with `value` the words joined back up. Options start with "--" and a
+// lowercase letter, so negative numbers and dashes inside values stay part of the value.
+export const splitFlags = (text) => {
+  const [head, ...flags] = ` ${text.trim()}`.split(/\s+--(?=[a-z])/);
+
+  return {
+    head: head.trim(),
+    flags: flags.map(flag => {
+      const [key, ...words] = flag.trim().split(/\s+/);
+      return { key, words, value: words.join(' ') };
+    })
+  };
+};
+
+// Values shared by /export and /purge
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Start of a YYYY-MM-DD day in local time
+export const parseDay = (value, flag) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+  if (!date || date.getDate() !== Number(match[3])) {
+    throw new Error(`--${flag} needs a date like 2024-05-31`);
+  }
+  return date.getTime();
+};
+
+// Last millisecond of a YYYY-MM-DD day, for inclusive --to dates
+export const parseDayEnd = (value, flag) => parseDay(value, flag) + DAY_MS - 1;
+
+// "3", "2-4" or "3-" (to the end); scene 0 is everything before the first scene
+export const parseSceneRange = (value) => {
+  const match = /^(\d+)(?:-(\d*))?$/.exec(value || '');
+  if (!match) {
+    throw new Error('--scenes needs a scene number or range like 2-4 (see the scene index)');
+  }
+  const from = Number(match[1]);
+  const to = match[2] === undefined ? from : match[2] === '' ? Infinity : Number(match[2]);
+  if (to < from) {
+    throw new Error(`Scene range ${value} ends before it starts`);
+  }
+  return { from, to };
+};
@@ -0,0 +1,34 @@
+import { splitFlags, parseDay, parseDayEnd, parseSceneRange } from './commandArgs';
+
+test('splits the leading text from the options', () => {
+  expect(splitFlags('  The Docks --type combat --with Kira, Bo the Bold  ')).toEqual({
+    head: 'The Docks',
+    flags: [
+      { key: 'type', words: ['combat'], value: 'combat' },
+      { key: 'with', words: ['Kira,', 'Bo', 'the', 'Bold'], value: 'Kira, Bo the Bold' }
+    ]
+  });
+});
+
+test('handles options without leading text or values', () => {
+  expect(splitFlags('--public --topic')).toEqual({
+    head: '',
+    flags: [{ key: 'public', words: [], value: '' }, { key: 'topic', words: [], value: '' }]
+  });
+  expect(splitFlags('')).toEqual({ head: '', flags: [] });
+});
+
+test('only treats -- before a lowercase letter as an option', () => {
+  expect(splitFlags('Duel --with -- --X').head).toBe('Duel');
+  expect(splitFlags('Duel --with -- --X').flags[0].value).toBe('-- --X');
+});
+
+test('parses days and scene ranges for /export and /purge', () => {
+  expect(parseDay('2024-05-31', 'from')).toBe(new Date(2024, 4, 31).getTime());
+  expect(parseDayEnd('2024-05-31', 'to')).toBe(new Date(2024, 5, 1).getTime() - 1);
+  expect(() => parseDay('2024-02-30', 'to')).toThrow('--to needs a date like 2024-05-31');
+
+  expect(parseSceneRange('3')).toEqual({ from: 3, to: 3 });
+  expect(parseSceneRange('2-')).toEqual({ from: 2, to: Infinity });
+  expect(() => parseSceneRange('4-2')).toThrow('Scene range 4-2 ends before it starts');
+});
@@ -0,0 +1,39 @@
+// connection.js
+// What the connection indicator shows for the SDK's sync state. `status` is one of
+// connecting, online, catching-up, reconnecting or offline.
+
+const SYNC_STATUS = {
+  PREPARED: 'online',
+  SYNCING: 'online',
+  CATCHUP: 'catching-up',
+  RECONNECTING: 'reconnecting',
+  ERROR: 'offline',
+  STOPPED: 'offline'
+};
+
+const LABELS = {
+  connecting: 'connecting…',
+  online: 'connected',
+  'catching-up': 'catching up…',
+  reconnecting: 'reconnecting…',
+  offline: 'offline'
+};
+
+// `state` is null before the first sync. `fillingGap` is set while missed history is fetched
+// after a long disconnect, so the room isn't shown as caught up before it is.
+export const connectionStatus = (state, { fillingGap = false } = {}) => {
+  let status = state ? SYNC_STATUS[state] || 'connecting' : 'connecting';
+  if (status === 'online' && fillingGap) status = 'catching-up';
+  return { status, label: LABELS[status] };
+};
+
+// Tooltip for the indicator: how long it has been like this, and why if the sync failed
+export const describeConnection = ({ status, since, error }, now = Date.now()) => {
+  const minutes = since ? Math.floor((now - since) / 60000) : 0;
+  const duration = minutes >= 60 ? `${Math.floor(minutes / 60)} h ${minutes % 60} min`
+    : minutes > 0 ? `${minutes} min`
+    : 'less than a minute';
+  const what = status === 'online' ? 'Connected' : LABELS[status].replace('…', '');
+
+  return `${what.charAt(0).toUpperCase()}${what.slice(1)} for ${duration}${error ? ` (${error})` : ''}`;
+};
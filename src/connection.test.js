@@ -0,0 +1,23 @@
+import { connectionStatus, describeConnection } from './connection';
+
+test('maps sync states to indicator statuses', () => {
+  expect(connectionStatus(null)).toEqual({ status: 'connecting', label: 'connecting…' });
+  expect(connectionStatus('PREPARED').status).toBe('online');
+  expect(connectionStatus('SYNCING')).toEqual({ status: 'online', label: 'connected' });
+  expect(connectionStatus('CATCHUP').status).toBe('catching-up');
+  expect(connectionStatus('RECONNECTING').status).toBe('reconnecting');
+  expect(connectionStatus('ERROR').status).toBe('offline');
+  expect(connectionStatus('STOPPED').status).toBe('offline');
+});
+
+test('is not caught up while missed history is being fetched', () => {
+  expect(connectionStatus('SYNCING', { fillingGap: true })).toEqual({ status: 'catching-up', label: 'catching up…' });
+  expect(connectionStatus('ERROR', { fillingGap: true }).status).toBe('offline');
+});
+
+test('says how long and why', () => {
+  const now = 10 * 60 * 60 * 1000;
+  expect(describeConnection({ status: 'online', since: now - 1000 }, now)).toBe('Connected for less than a minute');
+  expect(describeConnection({ status: 'offline', since: now - 5 * 60000, error: 'fetch failed' }, now)).toBe('Offline for 5 min (fetch failed)');
+  expect(describeConnection({ status: 'reconnecting', since: now - 125 * 60000 }, now)).toBe('Reconnecting for 2 h 5 min');
+});
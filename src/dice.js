@@ -0,0 +1,523 @@
+// dice.js
+// Dice expression parser and evaluator shared by /roll, sendRoll and rollDice.
+//
+// Supported grammar (case-insensitive, whitespace ignored):
+//   2d6+1, d20, d%            dice groups and flat modifiers
+//   4d6kh3, 2d20kl1, 4d6dl1   keep/drop highest or lowest
+//   3d6!, 3d6!>5              exploding dice (on max, or on a compare point)
+//   2d6r1, 2d6r<3, 2d6ro1     reroll matching dice (until they stop matching, or once)
+//   1d8+1d6, (2d6+1)*2        several groups and arithmetic (+ - * /)
+//   1d20+3 adv, 1d20 dis      advantage/disadvantage on the first die group
+//
+// Stat references (2d6+@grit) are not part of the grammar: resolveStatReferences fills them in
+// from a character sheet before parsing.
+
+export class DiceParseError extends Error {
+  constructor(message, position = null) {
+    super(message);
+    this.name = 'DiceParseError';
+    this.position = position;
+  }
+}
+
+// Limits to prevent abuse
+export const DICE_LIMITS = {
+  maxDice: 100,
+  maxSides: 1000,
+  maxRerolls: 100,
+  maxLength: 200
+};
+
+const TOKEN_PATTERNS = [
+  ['space', /^\s+/],
+  ['number', /^\d+/],
+  ['keyword', /^(advantage|disadvantage|adv|dis)\b/],
+  ['modifier', /^(kh|kl|dh|dl|ro|k|r)/],
+  ['dice', /^d/],
+  ['compare', /^(<=|>=|<|>|=)/],
+  ['symbol', /^[-+*/()%!]/]
+];
+
+const tokenize = (source) => {
+  const tokens = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const rest = source.substring(position);
+    let matched = false;
+
+    for (const [type, pattern] of TOKEN_PATTERNS) {
+      const match = rest.match(pattern);
+      if (!match) continue;
+
+      if (type !== 'space') {
+        tokens.push({ type, value: match[0], position });
+      }
+      position += match[0].length;
+      matched = true;
+      break;
+    }
+
+    if (!matched) {
+      throw new DiceParseError(`Unexpected "${rest[0]}" at position ${position + 1}`, position);
+    }
+  }
+
+  tokens.push({ type: 'end', value: '', position });
+  return tokens;
+};
+
+// Recursive descent parser producing a small AST
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source.toLowerCase());
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  accept(type, value) {
+    const token = this.peek();
+    if (token.type === type && (value === undefined || token.value === value)) {
+      this.index++;
+      return token;
+    }
+    return null;
+  }
+
+  fail(message, token = this.peek()) {
+    const where = token.type === 'end' ? 'at end of expression' : `at position ${token.position + 1}`;
+    throw new DiceParseError(`${message} ${where}`, token.position);
+  }
+
+  parse() {
+    if (this.peek().type === 'end') {
+      this.fail('Empty dice expression');
+    }
+
+    const expression = this.parseExpression();
+
+    let mode = null;
+    const keyword = this.accept('keyword');
+    if (keyword) {
+      mode = keyword.value.startsWith('adv') ? 'advantage' : 'disadvantage';
+    }
+
+    const token = this.peek();
+    if (token.type !== 'end') {
+      this.fail(`Unexpected "${token.value}"`, token);
+    }
+
+    if (mode) {
+      applyAdvantage(expression, mode);
+    }
+
+    return expression;
+  }
+
+  parseExpression() {
+    let left = this.parseTerm();
+
+    for (;;) {
+      const op = this.accept('symbol', '+') || this.accept('symbol', '-');
+      if (!op) return left;
+      left = { type: 'binary', op: op.value, left, right: this.parseTerm() };
+    }
+  }
+
+  parseTerm() {
+    let left = this.parseUnary();
+
+    for (;;) {
+      const op = this.accept('symbol', '*') || this.accept('symbol', '/');
+      if (!op) return left;
+      left = { type: 'binary', op: op.value, left, right: this.parseUnary() };
+    }
+  }
+
+  parseUnary() {
+    if (this.accept('symbol', '-')) {
+      return { type: 'negate', expr: this.parseUnary() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    if (this.accept('symbol', '(')) {
+      const expr = this.parseExpression();
+      if (!this.accept('symbol', ')')) {
+        this.fail('Expected ")"');
+      }
+      return { type: 'group', expr };
+    }
+
+    if (token.type === 'number') {
+      this.next();
+      const value = parseInt(token.value, 10);
+      if (this.peek().type === 'dice') {
+        return this.parseDice(value, token);
+      }
+      return { type: 'number', value };
+    }
+
+    if (token.type === 'dice') {
+      return this.parseDice(1, token);
+    }
+
+    if (token.type === 'end') {
+      this.fail('Expected a number or dice');
+    }
+    return this.fail(`Unexpected "${token.value}"`, token);
+  }
+
+  parseDice(count, startToken) {
+    this.next(); // the "d"
+
+    let sides;
+    if (this.accept('symbol', '%')) {
+      sides = 100;
+    } else {
+      const sidesToken = this.accept('number');
+      if (!sidesToken) {
+        this.fail('Expected number of sides after "d"');
+      }
+      sides = parseInt(sidesToken.value, 10);
+    }
+
+    if (count < 1) {
+      this.fail('Dice count must be at least 1', startToken);
+    }
+    if (count > DICE_LIMITS.maxDice) {
+      this.fail(`Too many dice (max ${DICE_LIMITS.maxDice})`, startToken);
+    }
+    if (sides < 1 || sides > DICE_LIMITS.maxSides) {
+      this.fail(`Dice must have between 1 and ${DICE_LIMITS.maxSides} sides`, startToken);
+    }
+
+    const node = {
+      type: 'dice',
+      count,
+      sides,
+      keep: null,
+      explode: null,
+      reroll: null
+    };
+
+    this.parseDiceModifiers(node);
+    return node;
+  }
+
+  parseDiceModifiers(node) {
+    for (;;) {
+      const token = this.peek();
+
+      if (this.accept('symbol', '!')) {
+        if (node.explode) this.fail('Dice can only explode once', token);
+        node.explode = this.parseCompare({ op: '>=', value: node.sides }, true);
+        this.checkCompare(node, node.explode, token, 'explode');
+        continue;
+      }
+
+      const modifier = this.accept('modifier');
+      if (!modifier) return;
+
+      if (modifier.value === 'r' || modifier.value === 'ro') {
+        if (node.reroll) this.fail('Dice can only have one reroll rule', modifier);
+        node.reroll = {
+          ...this.parseCompare(null, false),
+          once: modifier.value === 'ro'
+        };
+        this.checkCompare(node, node.reroll, modifier, 'reroll');
+        continue;
+      }
+
+      // Keep/drop: kh, kl, k, dh, dl
+      if (node.keep) this.fail('Dice can only have one keep or drop rule', modifier);
+      const amountToken = this.accept('number');
+      const amount = amountToken ? parseInt(amountToken.value, 10) : 1;
+      if (amount > node.count) {
+        this.fail(`Cannot keep or drop ${amount} of ${node.count} dice`, amountToken || modifier);
+      }
+
+      // Normalise drops into keeps so the evaluator only knows one rule
+      switch (modifier.value) {
+        case 'dh':
+          node.keep = { highest: false, count: node.count - amount };
+          break;
+        case 'dl':
+          node.keep = { highest: true, count: node.count - amount };
+          break;
+        case 'kl':
+          node.keep = { highest: false, count: amount };
+          break;
+        default:
+          node.keep = { highest: true, count: amount };
+      }
+      node.keep.notation = modifier.value + (amountToken ? amount : '');
+    }
+  }
+
+  parseCompare(fallback, optional) {
+    const opToken = this.accept('compare');
+    const numberToken = this.accept('number');
+
+    if (!numberToken) {
+      if (opToken || !optional) this.fail('Expected a number to compare against');
+      return fallback;
+    }
+
+    return {
+      op: opToken ? opToken.value : '=',
+      value: parseInt(numberToken.value, 10),
+      notation: (opToken ? opToken.value : '') + numberToken.value
+    };
+  }
+
+  checkCompare(node, compare, token, action) {
+    // A rule matching every face would never terminate
+    let matchesAll = true;
+    for (let face = 1; face <= node.sides; face++) {
+      if (!matchesCompare(face, compare)) {
+        matchesAll = false;
+        break;
+      }
+    }
+    if (matchesAll) {
+      this.fail(`Would ${action} on every roll of a d${node.sides}`, token);
+    }
+  }
+}
+
+// Turn the first single-die group into 2dXkh1 (advantage) or 2dXkl1 (disadvantage)
+const applyAdvantage = (ast, mode) => {
+  const dice = findDiceNodes(ast);
+  if (dice.length === 0 || dice[0].count !== 1 || dice[0].keep) {
+    throw new DiceParseError(`${mode === 'advantage' ? 'adv' : 'dis'} needs a single die to roll twice, like 1d20`);
+  }
+
+  dice[0].count = 2;
+  dice[0].keep = {
+    highest: mode === 'advantage',
+    count: 1,
+    notation: mode === 'advantage' ? 'kh1' : 'kl1'
+  };
+};
+
+const findDiceNodes = (node) => {
+  switch (node.type) {
+    case 'dice':
+      return [node];
+    case 'binary':
+      return [...findDiceNodes(node.left), ...findDiceNodes(node.right)];
+    case 'negate':
+    case 'group':
+      return findDiceNodes(node.expr);
+    default:
+      return [];
+  }
+};
+
+const matchesCompare = (value, compare) => {
+  switch (compare.op) {
+    case '<': return value < compare.value;
+    case '<=': return value <= compare.value;
+    case '>': return value > compare.value;
+    case '>=': return value >= compare.value;
+    default: return value === compare.value;
+  }
+};
+
+export const parseDice = (source) => {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new DiceParseError('Empty dice expression');
+  }
+  if (source.length > DICE_LIMITS.maxLength) {
+    throw new DiceParseError(`Dice expression is too long (max ${DICE_LIMITS.maxLength} characters)`);
+  }
+
+  const ast = new Parser(source.trim()).parse();
+
+  const totalDice = findDiceNodes(ast).reduce((sum, node) => sum + node.count, 0);
+  if (totalDice > DICE_LIMITS.maxDice) {
+    throw new DiceParseError(`Too many dice (max ${DICE_LIMITS.maxDice})`);
+  }
+
+  return ast;
+};
+
+// Canonical notation for an AST, e.g. "2d20kh1+3" for "1d20+3 adv"
+export const formatDice = (node) => {
+  switch (node.type) {
+    case 'number':
+      return `${node.value}`;
+    case 'dice': {
+      let notation = `${node.count}d${node.sides}`;
+      if (node.reroll) notation += (node.reroll.once ? 'ro' : 'r') + node.reroll.notation;
+      if (node.explode) notation += '!' + (node.explode.notation || '');
+      if (node.keep) notation += node.keep.notation;
+      return notation;
+    }
+    case 'binary':
+      return `${formatDice(node.left)}${node.op}${formatDice(node.right)}`;
+    case 'negate':
+      return `-${formatDice(node.expr)}`;
+    case 'group':
+      return `(${formatDice(node.expr)})`;
+    default:
+      return '';
+  }
+};
+
+const rollDie = (sides, rng) => Math.floor(rng() * sides) + 1;
+
+const rollGroup = (node, rng) => {
+  const dice = [];
+
+  const rollOne = (exploded) => {
+    let value = rollDie(node.sides, rng);
+    const rerolled = [];
+
+    if (node.reroll) {
+      while (matchesCompare(value, node.reroll) && rerolled.length < DICE_LIMITS.maxRerolls) {
+        rerolled.push(value);
+        value = rollDie(node.sides, rng);
+        if (node.reroll.once) break;
+      }
+    }
+
+    const die = { value, kept: true };
+    if (rerolled.length) die.rerolled = rerolled;
+    if (exploded) die.fromExplosion = true;
+    dice.push(die);
+    return die;
+  };
+
+  let explosions = 0;
+  for (let i = 0; i < node.count; i++) {
+    let die = rollOne(false);
+
+    while (node.explode && matchesCompare(die.value, node.explode) && explosions < DICE_LIMITS.maxRerolls) {
+      die.exploded = true;
+      explosions++;
+      die = rollOne(true);
+    }
+  }
+
+  if (node.keep) {
+    // Rank dice by value, ties broken by roll order so the result is deterministic
+    const ranked = dice
+      .map((die, index) => ({ die, index }))
+      .sort((a, b) => (node.keep.highest ? b.die.value - a.die.value : a.die.value - b.die.value) || a.index - b.index);
+
+    ranked.forEach(({ die }, rank) => {
+      die.kept = rank < node.keep.count;
+    });
+  }
+
+  const total = dice.filter(die => die.kept).reduce((sum, die) => sum + die.value, 0);
+
+  return {
+    notation: formatDice(node),
+    sides: node.sides,
+    dice,
+    total
+  };
+};
+
+// Evaluate a parsed expression. `rng` returns a float in [0, 1) and defaults to Math.random
+export const evaluateDice = (ast, rng = Math.random) => {
+  const groups = [];
+
+  const evaluate = (node) => {
+    switch (node.type) {
+      case 'number':
+        return { value: node.value, text: `${node.value}` };
+      case 'dice': {
+        const group = rollGroup(node, rng);
+        groups.push(group);
+        return { value: group.total, text: formatGroupDice(group) };
+      }
+      case 'negate': {
+        const inner = evaluate(node.expr);
+        return { value: -inner.value, text: `-${inner.text}` };
+      }
+      case 'group': {
+        const inner = evaluate(node.expr);
+        return { value: inner.value, text: `(${inner.text})` };
+      }
+      case 'binary': {
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+        return {
+          value: applyOperator(node.op, left.value, right.value),
+          text: `${left.text}${node.op}${right.text}`
+        };
+      }
+      default:
+        throw new DiceParseError(`Unknown dice node "${node.type}"`);
+    }
+  };
+
+  const result = evaluate(ast);
+
+  return {
+    expression: formatDice(ast),
+    total: result.value,
+    breakdown: result.text,
+    groups,
+    // Kept dice values, in roll order, across every group
+    rolls: groups.flatMap(group => group.dice.filter(die => die.kept).map(die => die.value))
+  };
+};
+
+const applyOperator = (op, left, right) => {
+  switch (op) {
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    case '/':
+      if (right === 0) throw new DiceParseError('Division by zero');
+      return Math.floor(left / right);
+    default:
+      throw new DiceParseError(`Unknown operator "${op}"`);
+  }
+};
+
+// Render one die group as "[6!][2](1)": dropped dice in parentheses, explosions marked with "!"
+// and rerolled values shown before the final value
+export const formatGroupDice = (group) => group.dice.map(die => {
+  let text = `${die.value}${die.exploded ? '!' : ''}`;
+  if (die.rerolled) text = `${die.rerolled.join('→')}→${text}`;
+  return die.kept ? `[${text}]` : `(${text})`;
+}).join('');
+
+const STAT_REFERENCE = /@([a-z_]\w*)/gi;
+
+// Replace @stat references with values from `lookup(name)`, which returns a whole number or
+// undefined for unknown stats. Returns { expression, stats } with the value used for each name.
+export const resolveStatReferences = (source, lookup) => {
+  const stats = {};
+  const expression = source.replace(STAT_REFERENCE, (match, name, offset) => {
+    const value = lookup(name);
+    if (!Number.isInteger(value)) {
+      throw new DiceParseError(`Unknown stat "${match}" at position ${offset + 1}`, offset);
+    }
+    stats[name] = value;
+    // Parenthesised so "2d6-@penalty" with a negative value still parses
+    return value < 0 ? `(${value})` : `${value}`;
+  });
+
+  return { expression, stats };
+};
+
+// Parse and evaluate in one step; throws DiceParseError on bad input
+export const rollDiceExpression = (source, rng = Math.random) => evaluateDice(parseDice(source), rng);
@@ -0,0 +1,80 @@
+import { parseDice, evaluateDice, rollDiceExpression, formatDice, resolveStatReferences, DiceParseError } from './dice';
+
+// Deterministic rng that yields the given die faces for the given number of sides
+const facesRng = (sides, faces) => {
+  let i = 0;
+  return () => (faces[i++ % faces.length] - 1) / sides;
+};
+
+test('rolls a flat modifier onto a dice group', () => {
+  const result = rollDiceExpression('2d6+1', facesRng(6, [3, 5]));
+  expect(result.rolls).toEqual([3, 5]);
+  expect(result.total).toBe(9);
+  expect(result.breakdown).toBe('[3][5]+1');
+});
+
+test('keeps the highest dice', () => {
+  const result = rollDiceExpression('4d6kh3', facesRng(6, [6, 1, 4, 3]));
+  expect(result.total).toBe(13);
+  expect(result.rolls).toEqual([6, 4, 3]);
+  expect(result.breakdown).toBe('[6](1)[4][3]');
+});
+
+test('drops the lowest dice', () => {
+  const result = rollDiceExpression('4d6dl1', facesRng(6, [2, 2, 5, 6]));
+  expect(result.total).toBe(13);
+  expect(result.groups[0].dice.map(die => die.kept)).toEqual([true, false, true, true]);
+});
+
+test('applies advantage and disadvantage to the first die', () => {
+  const adv = rollDiceExpression('1d20+3 adv', facesRng(20, [4, 17]));
+  expect(adv.expression).toBe('2d20kh1+3');
+  expect(adv.total).toBe(20);
+
+  const dis = rollDiceExpression('1d20 dis', facesRng(20, [4, 17]));
+  expect(dis.total).toBe(4);
+});
+
+test('explodes dice on their maximum', () => {
+  const result = rollDiceExpression('3d6!', facesRng(6, [6, 6, 2, 3, 1]));
+  expect(result.rolls).toEqual([6, 6, 2, 3, 1]);
+  expect(result.total).toBe(18);
+  expect(result.breakdown).toBe('[6!][6!][2][3][1]');
+});
+
+test('rerolls matching dice', () => {
+  const result = rollDiceExpression('2d6r1', facesRng(6, [1, 1, 4, 5]));
+  expect(result.rolls).toEqual([4, 5]);
+  expect(result.groups[0].dice[0].rerolled).toEqual([1, 1]);
+
+  const once = rollDiceExpression('1d6ro<3', facesRng(6, [2, 1]));
+  expect(once.rolls).toEqual([1]);
+});
+
+test('combines several groups with arithmetic', () => {
+  const result = evaluateDice(parseDice('(1d8+2d8)*2 - 1'), facesRng(8, [3, 4, 1]));
+  expect(result.groups).toHaveLength(2);
+  expect(result.total).toBe(15);
+  expect(formatDice(parseDice('d% + 2d6!>5kh1'))).toBe('1d100+2d6!>5kh1');
+});
+
+test('reports where an expression is invalid', () => {
+  expect(() => parseDice('2d6x')).toThrow(DiceParseError);
+  expect(() => parseDice('2d6x')).toThrow('Unexpected "x" at position 4');
+  expect(() => parseDice('2d')).toThrow('Expected number of sides after "d" at end of expression');
+  expect(() => parseDice('2d6kh3')).toThrow('Cannot keep or drop 3 of 2 dice');
+  expect(() => parseDice('1d6r<7')).toThrow('Would reroll on every roll of a d6');
+  expect(() => parseDice('101d6')).toThrow('Too many dice');
+  expect(() => parseDice('2d6 adv')).toThrow(DiceParseError);
+  expect(() => parseDice('')).toThrow('Empty dice expression');
+});
+
+test('fills in stat references before parsing', () => {
+  const stats = { grit: 2, wits: -1 };
+  const resolved = resolveStatReferences('2d6+@grit-@Wits', name => stats[name.toLowerCase()]);
+  expect(resolved.expression).toBe('2d6+2-(-1)');
+  expect(resolved.stats).toEqual({ grit: 2, Wits: -1 });
+  expect(rollDiceExpression(resolved.expression, facesRng(6, [3, 4])).total).toBe(10);
+
+  expect(() => resolveStatReferences('1d20+@luck', () => undefined)).toThrow('Unknown stat "@luck" at position 6');
+});
@@ -0,0 +1,43 @@
+// encryption.js
+// End-to-end encryption setup: loads libolm for matrix-js-sdk and picks a persistent key store.
+import { IndexedDBCryptoStore, MemoryCryptoStore } from 'matrix-js-sdk';
+
+const CRYPTO_STORE_NAME = 'matrpix-crypto';
+
+// Served from public/olm, copied there by scripts/copy-olm.js
+const OLM_PATH = 'olm/';
+
+let olmLoading = null;
+
+const loadScript = (src) => new Promise((resolve, reject) => {
+  const script = document.createElement('script');
+  script.src = src;
+  script.onload = resolve;
+  script.onerror = () => reject(new Error(`Failed to load ${src}`));
+  document.head.appendChild(script);
+});
+
+// matrix-js-sdk looks for libolm on the global object (window.Olm)
+export const loadOlm = () => {
+  if (!olmLoading) {
+    olmLoading = (window.Olm ? Promise.resolve() : loadScript(OLM_PATH + 'olm.js'))
+      .then(() => window.Olm.init({ locateFile: () => OLM_PATH + 'olm.wasm' }));
+    // Allow a retry if the wasm failed to load
+    olmLoading.catch(() => {
+      olmLoading = null;
+    });
+  }
+  return olmLoading;
+};
+
+// Keys must survive reloads or old messages become unreadable; IndexedDB may be
+// missing in private browsing, where keys only last for the tab
+export const createCryptoStore = () => {
+  if (window.indexedDB) {
+    return new IndexedDBCryptoStore(window.indexedDB, CRYPTO_STORE_NAME);
+  }
+  return new MemoryCryptoStore();
+};
+
+// Short, readable form of a SAS emoji list: "🐶 Dog, 🔑 Key, ..."
+export const formatSasEmoji = (emoji) => emoji.map(([symbol, name]) => `${symbol} ${name}`).join(', ');
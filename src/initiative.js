@@ -0,0 +1,191 @@
+// initiative.js
+// Turn order for combat, built from room state so every client agrees on whose turn it is.
+// All functions return new state objects.
+//
+// Each player's roll is their own org.matrix.custom.rpg.initiative.roll state event, keyed by
+// their user ID: players rolling at once don't overwrite each other, and the server stops anyone
+// changing someone else's roll. The org.matrix.custom.rpg.initiative event needs the GM's power
+// level and holds everything else:
+//
+//   turn order:  { combat, round, turn, turnIndex, npcs: [{ id, name, initiative }], removed: [userId] }
+//   roll:        { combat, name, initiative, passed }
+//
+// Rolls count for the combat they name, so ending combat (a new `combat` number) clears them all.
+// `turn` is the current combatant's ID, or null while everyone is still rolling in. Players can't
+// change the turn order, so the current player ends their turn by setting `passed` to the round.
+// A pass covers that round and every one before it, so players can keep taking turns between
+// GM updates and the turn order still comes out the same.
+//
+// Both are combined into the state the UI shows:
+//
+//   { active, round, turn, entries: [{ id, name, userId, initiative }] }
+//
+// Entries are kept sorted by initiative, highest first; `turn` indexes the current entry.
+
+export const INITIATIVE_EVENT = 'org.matrix.custom.rpg.initiative';
+export const INITIATIVE_ROLL_EVENT = 'org.matrix.custom.rpg.initiative.roll';
+
+export const INIT_USAGE = '/init [EXPRESSION|VALUE] | /init add NAME VALUE | /init remove NAME | /init next | /init end | /init show';
+
+export const emptyInitiative = () => ({
+  active: false,
+  round: 0,
+  turn: 0,
+  entries: []
+});
+
+export const normalizeTurnOrder = (content) => {
+  const order = content || {};
+  // Turn orders from before rolls had their own events kept everyone in `entries`
+  const npcs = Array.isArray(order.npcs) ? order.npcs : Array.isArray(order.entries) ? order.entries : [];
+
+  return {
+    combat: Number.isInteger(order.combat) ? order.combat : 0,
+    round: Number.isInteger(order.round) && order.round > 0 ? order.round : 1,
+    turn: typeof order.turn === 'string' ? order.turn : null,
+    turnIndex: Number.isInteger(order.turnIndex) && order.turnIndex > 0 ? order.turnIndex : 0,
+    npcs: npcs
+      .filter(entry => entry && typeof entry.id === 'string' && typeof entry.initiative === 'number')
+      .map(entry => ({
+        id: entry.id,
+        name: typeof entry.name === 'string' ? entry.name : entry.id,
+        userId: typeof entry.userId === 'string' ? entry.userId : null,
+        initiative: entry.initiative
+      })),
+    removed: Array.isArray(order.removed) ? order.removed.filter(id => typeof id === 'string') : []
+  };
+};
+
+// Rolls ([{ userId, content, at }] from the roll state events) that count in this combat, oldest first
+const combatRolls = (order, rolls) => rolls
+  .filter(({ userId, content }) => content && content.combat === order.combat &&
+    typeof content.initiative === 'number' && !order.removed.includes(userId))
+  .sort((a, b) => a.at - b.at);
+
+// Highest first; ties keep the order they were added in
+const sortEntries = (entries) => entries
+  .map((entry, index) => ({ entry, index }))
+  .sort((a, b) => b.entry.initiative - a.entry.initiative || a.index - b.index)
+  .map(({ entry }) => entry);
+
+export const currentEntry = (state) => state.active ? state.entries[state.turn] || null : null;
+
+// Keep the turn on the same combatant after the list changes
+const withTurnOn = (state, entries, currentId) => {
+  const turn = entries.findIndex(entry => entry.id === currentId);
+  return { ...state, entries, turn: turn >= 0 ? turn : Math.min(state.turn, Math.max(entries.length - 1, 0)) };
+};
+
+// Add a combatant or update their initiative. The first entry starts round 1.
+export const setInitiative = (state, { id, name, userId = null, initiative }) => {
+  const current = currentEntry(state);
+  const others = state.entries.filter(entry => entry.id !== id);
+  const entries = sortEntries([...others, { id, name, userId, initiative }]);
+
+  // Until the first turn is passed everyone is still rolling in, so the top of the order goes first
+  if (!state.active || (state.round === 1 && state.turn === 0)) {
+    return { active: true, round: 1, turn: 0, entries };
+  }
+  return withTurnOn(state, entries, current.id);
+};
+
+// The state the UI shows for a turn order content and the players' rolls
+export const buildInitiative = (orderContent, rolls = []) => {
+  const order = normalizeTurnOrder(orderContent);
+  const players = combatRolls(order, rolls);
+  const built = [
+    ...order.npcs,
+    ...players.map(({ userId, content }) => ({
+      id: userId,
+      name: typeof content.name === 'string' ? content.name : userId,
+      userId,
+      initiative: content.initiative
+    }))
+  ].reduce(setInitiative, emptyInitiative());
+  if (!built.active) return emptyInitiative();
+
+  // A combatant who left mid-turn passes the turn to whoever took their place
+  const turn = built.entries.findIndex(entry => entry.id === order.turn);
+  let state = { ...built, round: order.round, turn: turn >= 0 ? turn : Math.min(order.turnIndex, built.entries.length - 1) };
+
+  const passed = new Map(players
+    .filter(({ content }) => Number.isInteger(content.passed))
+    .map(({ userId, content }) => [userId, content.passed]));
+  const hasPassed = (entry) => passed.has(entry.id) && passed.get(entry.id) >= state.round;
+
+  // Walk on past everyone who has passed this round. A round everyone has passed is skipped
+  // whole, up to the first round someone hasn't passed, so this stops within two rounds.
+  for (let i = 0; i < state.entries.length * 2 && hasPassed(currentEntry(state)); i++) {
+    state = nextTurn(state);
+    if (state.turn === 0 && state.entries.every(hasPassed)) {
+      state = { ...state, round: Math.min(...state.entries.map(entry => passed.get(entry.id))) + 1 };
+    }
+  }
+  return state;
+};
+
+// Turn order content that puts the GM's event in line with `state`
+const orderFor = (order, state) => ({
+  ...order,
+  round: state.round,
+  // Until the first turn is passed the top of the order goes first, however late they roll
+  turn: state.round === 1 && state.turn === 0 ? null : currentEntry(state).id,
+  turnIndex: state.turn
+});
+
+export const addCombatant = (order, state, entry) => orderFor(
+  { ...order, npcs: [...order.npcs.filter(npc => npc.id !== entry.id), entry] },
+  setInitiative(state, entry)
+);
+
+// Taking out a player's roll needs the GM event too: only they can change their own
+export const removeCombatant = (order, state, id) => {
+  const remaining = removeEntry(state, id);
+  if (!remaining.active) return endCombat(order);
+
+  const isNpc = order.npcs.some(npc => npc.id === id);
+  return orderFor({
+    ...order,
+    npcs: order.npcs.filter(npc => npc.id !== id),
+    removed: isNpc ? order.removed : [...order.removed, id]
+  }, remaining);
+};
+
+export const advanceTurn = (order, state) => orderFor(order, nextTurn(state));
+
+export const endCombat = (order) => ({ combat: order.combat + 1 });
+
+export const removeEntry = (state, id) => {
+  const current = currentEntry(state);
+  const entries = state.entries.filter(entry => entry.id !== id);
+  if (entries.length === 0) return emptyInitiative();
+
+  // Removing the current combatant passes the turn to the next one
+  if (current && current.id === id) {
+    const turn = state.turn % entries.length;
+    return { ...state, entries, turn, round: turn < state.turn ? state.round + 1 : state.round };
+  }
+  return withTurnOn(state, entries, current ? current.id : null);
+};
+
+export const nextTurn = (state) => {
+  if (!state.active || state.entries.length === 0) return state;
+
+  const turn = (state.turn + 1) % state.entries.length;
+  return { ...state, turn, round: turn === 0 ? state.round + 1 : state.round };
+};
+
+// Find an entry by ID or name, ignoring case
+export const findEntry = (state, nameOrId) => {
+  const wanted = nameOrId.toLowerCase();
+  return state.entries.find(entry => entry.id.toLowerCase() === wanted || entry.name.toLowerCase() === wanted) || null;
+};
+
+export const formatInitiative = (state) => {
+  if (!state.active) return 'No combat in progress. Use /init to roll initiative.';
+
+  const lines = state.entries.map((entry, index) =>
+    `${index === state.turn ? '▶' : ' '} ${entry.initiative} ${entry.name}`
+  );
+  return [`Round ${state.round}`, ...lines].join('\n');
+};
@@ -0,0 +1,110 @@
+import { setInitiative, nextTurn, removeEntry, currentEntry, normalizeTurnOrder, buildInitiative, addCombatant, removeCombatant, advanceTurn, endCombat, emptyInitiative, formatInitiative } from './initiative';
+
+const combat = () => [
+  { id: '@kira:x', name: 'Kira', userId: '@kira:x', initiative: 12 },
+  { id: 'npc:Goblin', name: 'Goblin', initiative: 17 },
+  { id: '@bo:x', name: 'Bo', userId: '@bo:x', initiative: 12 }
+].reduce(setInitiative, emptyInitiative());
+
+test('starts round one with the highest initiative first', () => {
+  const state = combat();
+  expect(state.active).toBe(true);
+  expect(state.round).toBe(1);
+  expect(state.entries.map(entry => entry.name)).toEqual(['Goblin', 'Kira', 'Bo']);
+  expect(currentEntry(state).name).toBe('Goblin');
+});
+
+test('advances turns and rounds', () => {
+  let state = nextTurn(combat());
+  expect(currentEntry(state).name).toBe('Kira');
+  state = nextTurn(nextTurn(state));
+  expect(currentEntry(state).name).toBe('Goblin');
+  expect(state.round).toBe(2);
+});
+
+test('keeps the current turn when combatants join or change', () => {
+  let state = nextTurn(combat()); // Kira's turn
+  state = setInitiative(state, { id: 'npc:Wolf', name: 'Wolf', initiative: 20 });
+  expect(currentEntry(state).name).toBe('Kira');
+  state = setInitiative(state, { id: '@kira:x', name: 'Kira', userId: '@kira:x', initiative: 1 });
+  expect(currentEntry(state).name).toBe('Kira');
+  expect(state.entries[state.entries.length - 1].name).toBe('Kira');
+});
+
+test('passes the turn on when the current combatant is removed', () => {
+  const last = nextTurn(nextTurn(combat())); // Bo's turn, last in the round
+  const state = removeEntry(last, '@bo:x');
+  expect(currentEntry(state).name).toBe('Goblin');
+  expect(state.round).toBe(2);
+
+  expect(removeEntry(removeEntry(state, '@kira:x'), 'npc:Goblin')).toEqual(emptyInitiative());
+});
+
+test('ignores malformed state and formats the order', () => {
+  const order = normalizeTurnOrder({ combat: 2, round: 3, turn: 9, npcs: [{ id: 'npc:Orc', initiative: 8 }, { name: 'broken' }], removed: [null] });
+  expect(order).toEqual({ combat: 2, round: 3, turn: null, turnIndex: 0, npcs: [{ id: 'npc:Orc', name: 'npc:Orc', userId: null, initiative: 8 }], removed: [] });
+  expect(formatInitiative(buildInitiative(order))).toBe('Round 3\n▶ 8 npc:Orc');
+  expect(formatInitiative(emptyInitiative())).toMatch(/No combat/);
+});
+
+// Roll state events as [{ userId, content, at }]
+const roll = (userId, initiative, fields = {}) => ({ userId, content: { combat: 0, name: userId.split(':')[0].substring(1), initiative, ...fields }, at: initiative });
+
+test('combines the GM\'s turn order with rolls players made at the same time', () => {
+  const order = { npcs: [{ id: 'npc:Goblin', name: 'Goblin', initiative: 17 }] };
+  const state = buildInitiative(order, [roll('@kira:x', 12), roll('@bo:x', 20), roll('@old:x', 30, { combat: -1 })]);
+  expect(state.entries.map(entry => entry.name)).toEqual(['bo', 'Goblin', 'kira']);
+  expect(currentEntry(state).name).toBe('bo');
+
+  // Later rolls still go to the top until the first turn is passed
+  expect(currentEntry(buildInitiative(order, [roll('@kira:x', 12), roll('@ana:x', 25)])).name).toBe('ana');
+});
+
+test('the GM moves the turn and takes combatants out', () => {
+  const rolls = [roll('@kira:x', 12), roll('@bo:x', 20)];
+  let order = normalizeTurnOrder({});
+  order = addCombatant(order, buildInitiative(order, rolls), { id: 'npc:Goblin', name: 'Goblin', userId: null, initiative: 17 });
+  order = advanceTurn(order, buildInitiative(order, rolls));
+  expect(currentEntry(buildInitiative(order, rolls)).name).toBe('Goblin');
+
+  // A player rolling in now doesn't take the turn
+  expect(currentEntry(buildInitiative(order, [...rolls, roll('@ana:x', 25)])).name).toBe('Goblin');
+
+  order = removeCombatant(order, buildInitiative(order, rolls), '@kira:x');
+  expect(order.removed).toEqual(['@kira:x']);
+  expect(buildInitiative(order, rolls).entries.map(entry => entry.name)).toEqual(['bo', 'Goblin']);
+
+  // Ending combat clears the order and every roll made for it
+  order = endCombat(order);
+  expect(buildInitiative(order, rolls)).toEqual(emptyInitiative());
+  expect(buildInitiative(order, [roll('@bo:x', 5, { combat: 1 })]).entries).toHaveLength(1);
+});
+
+test('the current player passes the turn on with their own roll', () => {
+  const order = { round: 2, turn: '@bo:x' };
+  const state = buildInitiative(order, [roll('@kira:x', 12), roll('@bo:x', 20, { passed: 2 })]);
+  expect(currentEntry(state).name).toBe('kira');
+  expect(state.round).toBe(2);
+
+  // A pass from an earlier round doesn't skip them again
+  expect(currentEntry(buildInitiative({ round: 3, turn: '@bo:x' }, [roll('@kira:x', 12), roll('@bo:x', 20, { passed: 2 })])).name).toBe('bo');
+});
+
+test('players keep passing across rounds without the GM', () => {
+  const order = { round: 2, turn: '@bo:x' };
+  const rolls = [roll('@bo:x', 20, { passed: 3 }), roll('@kira:x', 12, { passed: 2 })];
+  // Bo passed round 2 and, after Kira passed, round 3 too
+  expect(buildInitiative(order, rolls)).toMatchObject({ round: 3, turn: 1 });
+
+  const state = buildInitiative(order, [roll('@bo:x', 20, { passed: 3 }), roll('@kira:x', 12, { passed: 3 })]);
+  expect(state).toMatchObject({ round: 4, turn: 0 });
+
+  // Whole rounds everyone has passed are skipped at once
+  const far = buildInitiative(order, [roll('@bo:x', 20, { passed: 1000000 }), roll('@kira:x', 12, { passed: 999999 })]);
+  expect(far).toMatchObject({ round: 1000000, turn: 1 });
+
+  // An NPC still waits for the GM
+  const withNpc = buildInitiative({ ...order, npcs: [{ id: 'npc:Goblin', name: 'Goblin', initiative: 17 }] }, rolls);
+  expect(withNpc).toMatchObject({ round: 2, turn: 1 });
+  expect(currentEntry(withNpc).name).toBe('Goblin');
+});
@@ -0,0 +1,50 @@
+// messageStore.js
+// The messages of one channel, in time order and keyed by `id`: the Matrix event ID for anything
+// from the timeline, a local ID from localId() for notices that never leave this client.
+// All functions return new arrays, so they can be passed straight to React state setters.
+
+let localCounter = 0;
+
+// Unique within the page, even for a burst of notices in the same millisecond
+export const localId = (prefix = 'local') => `${prefix}-${Date.now()}-${++localCounter}`;
+
+export const findMessage = (messages, id) => messages.find(msg => msg.id === id) || null;
+
+// Insert by timestamp, since scroll-back history arrives after newer messages. A message that is
+// already there is updated in place rather than shown twice.
+export const insertMessage = (messages, message) => {
+  if (messages.some(msg => msg.id === message.id)) {
+    return updateMessage(messages, message.id, message);
+  }
+
+  const index = message.timestamp ? messages.findIndex(msg => msg.timestamp > message.timestamp) : -1;
+  return index === -1 ? [...messages, message] : [...messages.slice(0, index), message, ...messages.slice(index)];
+};
+
+// `update` is an object to merge or a function from the old message to the new one
+export const updateMessage = (messages, id, update) => messages.map(msg => {
+  if (msg.id !== id) return msg;
+  return typeof update === 'function' ? update(msg) : { ...msg, ...update };
+});
+
+export const removeMessage = (messages, id) => messages.filter(msg => msg.id !== id);
+
+// Redacted messages stay as a tombstone so replies and threads keep their place. Rolls keep what
+// was rolled, so the tombstone can say which roll was deleted (see rollAudit.js).
+export const redactMessage = (messages, id, { redactedBy = null, redactedAt = null, reason = null } = {}) => updateMessage(messages, id, msg => ({
+  ...msg,
+  ...(msg.type === 'roll' ? {} : { text: '', body: '', quote: null }),
+  redacted: true,
+  redactedBy,
+  redactedAt,
+  redactReason: reason
+}));
+
+// A local echo got its server event ID. If the remote echo already arrived under the new ID,
+// the local copy is dropped.
+export const replaceMessageId = (messages, oldId, newId) => {
+  if (oldId === newId || !messages.some(msg => msg.id === oldId)) return messages;
+  if (messages.some(msg => msg.id === newId)) return removeMessage(messages, oldId);
+
+  return updateMessage(messages, oldId, msg => ({ ...msg, id: newId, eventId: newId }));
+};
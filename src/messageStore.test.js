@@ -0,0 +1,52 @@
+import { localId, insertMessage, updateMessage, removeMessage, redactMessage, replaceMessageId, findMessage } from './messageStore';
+
+const msg = (id, timestamp, text = id) => ({ id, eventId: id, timestamp, text });
+
+test('local IDs are unique within a burst', () => {
+  const ids = Array.from({ length: 100 }, () => localId('system'));
+  expect(new Set(ids).size).toBe(100);
+  expect(ids[0]).toMatch(/^system-/);
+});
+
+test('inserts in time order and updates repeats in place', () => {
+  let messages = [msg('$b', 20), msg('$d', 40)];
+  messages = insertMessage(messages, msg('$c', 30));
+  messages = insertMessage(messages, msg('$a', 10));
+  messages = insertMessage(messages, msg('$e', 50));
+  expect(messages.map(m => m.id)).toEqual(['$a', '$b', '$c', '$d', '$e']);
+
+  messages = insertMessage(messages, msg('$c', 30, 'again'));
+  expect(messages).toHaveLength(5);
+  expect(findMessage(messages, '$c').text).toBe('again');
+
+  // Notices without a timestamp go last
+  expect(insertMessage(messages, { id: 'system-1', text: 'hi' }).pop().id).toBe('system-1');
+});
+
+test('updates, removes and tombstones by ID', () => {
+  let messages = [msg('$a', 10), msg('$b', 20)];
+  messages = updateMessage(messages, '$a', { edited: true });
+  messages = updateMessage(messages, '$b', m => ({ ...m, text: m.text.toUpperCase() }));
+  expect(messages.map(m => [m.edited, m.text])).toEqual([[true, '$a'], [undefined, '$B']]);
+
+  const redacted = redactMessage(messages, '$b', { redactedBy: '@gm:x', reason: 'spoiler' });
+  expect(findMessage(redacted, '$b')).toMatchObject({ redacted: true, text: '', redactedBy: '@gm:x', redactReason: 'spoiler' });
+
+  expect(removeMessage(messages, '$a').map(m => m.id)).toEqual(['$b']);
+});
+
+test('deleted rolls keep their result for the tombstone', () => {
+  const rolls = [{ ...msg('$r', 10, 'rolls 1d20'), type: 'roll', total: 2 }];
+  expect(findMessage(redactMessage(rolls, '$r', { redactedBy: '@kira:x', redactedAt: 50 }), '$r'))
+    .toMatchObject({ redacted: true, text: 'rolls 1d20', total: 2, redactedBy: '@kira:x', redactedAt: 50 });
+});
+
+test('swaps local echo IDs for server IDs without duplicates', () => {
+  const messages = [msg('$a', 10), msg('~!room:txn1', 20)];
+  const sent = replaceMessageId(messages, '~!room:txn1', '$b');
+  expect(sent.map(m => [m.id, m.eventId])).toEqual([['$a', '$a'], ['$b', '$b']]);
+
+  // Remote echo got there first
+  expect(replaceMessageId([...messages, msg('$b', 20)], '~!room:txn1', '$b').map(m => m.id)).toEqual(['$a', '$b']);
+  expect(replaceMessageId(messages, '~!room:gone', '$c')).toBe(messages);
+});
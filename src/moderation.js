@@ -0,0 +1,97 @@
+// moderation.js
+// Power-level rules for the GM moderation commands (/invite, /kick, /ban, /unban, /op, /purge).
+// Mirrors the server's checks so the user gets a clear reason instead of an M_FORBIDDEN.
+// Also decides who may post scenes and narration, which only clients enforce.
+
+import { SCENE_PERMISSION, NARRATE_PERMISSION } from './campaignRooms';
+
+// Spec defaults for m.room.power_levels fields that may be missing
+const DEFAULT_LEVELS = {
+  invite: 0,
+  kick: 50,
+  ban: 50,
+  redact: 50,
+  state_default: 50,
+  users_default: 0
+};
+
+const levelSetting = (powerLevels, key) => {
+  const value = powerLevels?.[key];
+  return typeof value === 'number' ? value : DEFAULT_LEVELS[key];
+};
+
+export const userPowerLevel = (powerLevels, userId) => {
+  const level = powerLevels?.users?.[userId];
+  return typeof level === 'number' ? level : levelSetting(powerLevels, 'users_default');
+};
+
+// Level needed to send a given state or message event type
+export const eventPowerLevel = (powerLevels, eventType, fallback = levelSetting(powerLevels, 'state_default')) => {
+  const level = powerLevels?.events?.[eventType];
+  return typeof level === 'number' ? level : fallback;
+};
+
+// Level needed to change other users' power levels
+const opLevel = (powerLevels) => eventPowerLevel(powerLevels, 'm.room.power_levels');
+
+// Why `actorId` can't perform `action` on `targetId`, or null if the server should allow it.
+// `level` is the new power level for 'op'. 'redact' is deleting a message sent by `targetId`.
+export const moderationError = (powerLevels, actorId, action, targetId, level = null) => {
+  const actorLevel = userPowerLevel(powerLevels, actorId);
+  const targetLevel = userPowerLevel(powerLevels, targetId);
+
+  const needs = (required, what) => actorLevel >= required
+    ? null
+    : `You need power level ${required} to ${what} (you have ${actorLevel})`;
+
+  const outranks = () => targetId !== actorId && targetLevel >= actorLevel
+    ? `${targetId} has power level ${targetLevel}, which is not below yours (${actorLevel})`
+    : null;
+
+  switch (action) {
+    case 'invite':
+      return needs(levelSetting(powerLevels, 'invite'), 'invite');
+    case 'kick':
+      return needs(levelSetting(powerLevels, 'kick'), 'kick') || outranks();
+    case 'ban':
+    case 'unban':
+      return needs(levelSetting(powerLevels, 'ban'), action) || outranks();
+    case 'op':
+      if (!Number.isInteger(level)) {
+        return 'Power level must be a whole number';
+      }
+      if (level > actorLevel) {
+        return `You can't grant power level ${level}, above your own (${actorLevel})`;
+      }
+      return needs(opLevel(powerLevels), 'change power levels') || outranks();
+    case 'redact':
+      // Anyone may delete their own messages; rank doesn't matter for others'
+      return targetId === actorId ? null : needs(levelSetting(powerLevels, 'redact'), "delete other people's messages");
+    default:
+      return `Unknown moderation action ${action}`;
+  }
+};
+
+// RPG message types that need more than the room's events_default
+const RPG_PERMISSIONS = {
+  scene: SCENE_PERMISSION,
+  narrate: NARRATE_PERMISSION
+};
+
+// Rooms not made with /create have no entry; they fall back to state_default like room settings
+export const rpgPostLevel = (powerLevels, type) => RPG_PERMISSIONS[type]
+  ? eventPowerLevel(powerLevels, RPG_PERMISSIONS[type])
+  : 0;
+
+// Why `userId` may not post a message of this RPG type, or null if they may
+export const rpgPostError = (powerLevels, userId, type) => {
+  const required = rpgPostLevel(powerLevels, type);
+  const level = userPowerLevel(powerLevels, userId);
+  if (level >= required) return null;
+
+  const what = type === 'scene' ? 'post scenes' : 'narrate';
+  return `Only the GM can ${what} here (power level ${required} needed, you have ${level})`;
+};
+
+// Role shown in the members panel: whoever may post scenes runs the game
+export const memberRole = (powerLevels, userId) => rpgPostError(powerLevels, userId, 'scene') ? 'player' : 'gm';
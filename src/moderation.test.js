@@ -0,0 +1,60 @@
+import { moderationError, userPowerLevel, rpgPostError, memberRole } from './moderation';
+
+const powerLevels = {
+  users: { '@gm:x': 100, '@cogm:x': 50 },
+  users_default: 0,
+  kick: 50,
+  ban: 50,
+  events: { 'm.room.power_levels': 100 }
+};
+
+test('reads member levels with the room default', () => {
+  expect(userPowerLevel(powerLevels, '@gm:x')).toBe(100);
+  expect(userPowerLevel(powerLevels, '@player:x')).toBe(0);
+  expect(userPowerLevel({}, '@anyone:x')).toBe(0);
+});
+
+test('allows the GM to moderate lower-ranked members', () => {
+  expect(moderationError(powerLevels, '@gm:x', 'kick', '@player:x')).toBeNull();
+  expect(moderationError(powerLevels, '@gm:x', 'ban', '@cogm:x')).toBeNull();
+  expect(moderationError(powerLevels, '@gm:x', 'op', '@player:x', 50)).toBeNull();
+  expect(moderationError(powerLevels, '@player:x', 'invite', '@new:x')).toBeNull();
+});
+
+test('explains missing power', () => {
+  expect(moderationError(powerLevels, '@player:x', 'kick', '@cogm:x')).toBe('You need power level 50 to kick (you have 0)');
+  expect(moderationError(powerLevels, '@cogm:x', 'op', '@player:x', 10)).toBe('You need power level 100 to change power levels (you have 50)');
+});
+
+test('refuses to act on equal or higher ranks', () => {
+  expect(moderationError(powerLevels, '@cogm:x', 'ban', '@gm:x')).toMatch(/not below yours/);
+  expect(moderationError(powerLevels, '@gm:x', 'op', '@player:x', 150)).toMatch(/above your own/);
+  expect(moderationError(powerLevels, '@gm:x', 'op', '@player:x', NaN)).toBe('Power level must be a whole number');
+});
+
+test('lets anyone delete their own messages, and GMs everyone\'s', () => {
+  expect(moderationError(powerLevels, '@player:x', 'redact', '@player:x')).toBeNull();
+  expect(moderationError(powerLevels, '@cogm:x', 'redact', '@gm:x')).toBeNull();
+  expect(moderationError(powerLevels, '@player:x', 'redact', '@gm:x')).toBe("You need power level 50 to delete other people's messages (you have 0)");
+});
+
+test('lets members lower their own level', () => {
+  expect(moderationError({ ...powerLevels, events: {} }, '@cogm:x', 'op', '@cogm:x', 0)).toBeNull();
+});
+
+test('keeps scenes and narration for the GM', () => {
+  const campaign = { ...powerLevels, events: { 'org.matrix.custom.rpg.scene': 50, 'org.matrix.custom.rpg.narrate': 100 } };
+  expect(rpgPostError(campaign, '@cogm:x', 'scene')).toBeNull();
+  expect(rpgPostError(campaign, '@cogm:x', 'narrate')).toBe('Only the GM can narrate here (power level 100 needed, you have 50)');
+  expect(rpgPostError(campaign, '@player:x', 'roll')).toBeNull();
+
+  // Rooms made elsewhere fall back to state_default
+  expect(rpgPostError({ users: { '@gm:x': 100 } }, '@player:x', 'scene')).toMatch(/power level 50 needed/);
+});
+
+test('tells GMs from players by the scene power level', () => {
+  const campaign = { ...powerLevels, events: { 'org.matrix.custom.rpg.scene': 50 } };
+  expect(memberRole(campaign, '@gm:x')).toBe('gm');
+  expect(memberRole(campaign, '@cogm:x')).toBe('gm');
+  expect(memberRole(campaign, '@player:x')).toBe('player');
+});
@@ -0,0 +1,43 @@
+// outbox.js
+// Messages waiting to be sent. Each one is shown straight away under the ID the SDK gives its
+// local echo ("~" + roomId + ":" + txnId), so the UI keeps one message from queued through sent
+// (see messageStore.replaceMessageId). Items are plain objects, saved to localStorage as they are:
+//
+//   { id, txnId, roomId, kind, content, notation, label, queuedAt, status, error }
+//
+// `kind` is 'message' with the m.room.message `content`, or 'roll' with the dice `notation`:
+// a roll can't be rolled before its commit is sent (see verifiableRolls.js), so its content is
+// filled in when its turn comes. `status` is queued, sending or failed.
+
+export const localEchoId = (roomId, txnId) => `~${roomId}:${txnId}`;
+
+export const createOutboxItem = ({ roomId, txnId, kind = 'message', content = null, notation = null, label = null, queuedAt = Date.now() }) => ({
+  id: localEchoId(roomId, txnId),
+  txnId,
+  roomId,
+  kind,
+  content,
+  notation,
+  label,
+  queuedAt,
+  status: 'queued',
+  error: null
+});
+
+export const findOutboxItem = (outbox, id) => outbox.find(item => item.id === id) || null;
+
+// Oldest first, so messages arrive in the order they were typed
+export const nextOutboxItem = (outbox) => outbox.find(item => item.status === 'queued') || null;
+
+export const updateOutboxItem = (outbox, id, update) => outbox.map(item => item.id === id ? { ...item, ...update } : item);
+
+export const removeOutboxItem = (outbox, id) => outbox.filter(item => item.id !== id);
+
+// The request never reached the server: worth sending again once the connection is back
+export const isConnectionError = (error) => error?.name === 'ConnectionError';
+
+// A saved outbox after a reload: whatever was on its way out goes back in the queue. The same
+// transaction ID is used again, so the server drops it if the first try did arrive.
+export const restoreOutbox = (items) => (Array.isArray(items) ? items : [])
+  .filter(item => item && item.id && item.txnId && item.roomId && (item.content || item.notation))
+  .map(item => item.status === 'sending' ? { ...item, status: 'queued' } : item);
@@ -0,0 +1,52 @@
+import { localEchoId, createOutboxItem, findOutboxItem, nextOutboxItem, updateOutboxItem, removeOutboxItem, isConnectionError, restoreOutbox } from './outbox';
+
+const item = (txnId, fields = {}) => createOutboxItem({ roomId: '!room:x', txnId, content: { body: txnId }, queuedAt: 10, ...fields });
+
+test('queued messages use the SDK local echo ID', () => {
+  expect(localEchoId('!room:x', 'm123.4')).toBe('~!room:x:m123.4');
+  expect(item('t1')).toEqual({
+    id: '~!room:x:t1',
+    txnId: 't1',
+    roomId: '!room:x',
+    kind: 'message',
+    content: { body: 't1' },
+    notation: null,
+    label: null,
+    queuedAt: 10,
+    status: 'queued',
+    error: null
+  });
+});
+
+test('sends in order, skipping messages that are sending or failed', () => {
+  let outbox = [item('t1'), item('t2'), item('t3')];
+  expect(nextOutboxItem(outbox).txnId).toBe('t1');
+
+  outbox = updateOutboxItem(outbox, '~!room:x:t1', { status: 'failed', error: 'M_FORBIDDEN' });
+  outbox = updateOutboxItem(outbox, '~!room:x:t2', { status: 'sending' });
+  expect(nextOutboxItem(outbox).txnId).toBe('t3');
+  expect(findOutboxItem(outbox, '~!room:x:t1').error).toBe('M_FORBIDDEN');
+
+  outbox = removeOutboxItem(outbox, '~!room:x:t3');
+  expect(nextOutboxItem(outbox)).toBeNull();
+  expect(outbox.map(i => i.txnId)).toEqual(['t1', 't2']);
+});
+
+test('only connection errors keep a message queued', () => {
+  const offline = new Error('fetch failed');
+  Object.defineProperty(offline, 'name', { get: () => 'ConnectionError' });
+  expect(isConnectionError(offline)).toBe(true);
+  expect(isConnectionError(Object.assign(new Error('Forbidden'), { errcode: 'M_FORBIDDEN' }))).toBe(false);
+  expect(isConnectionError(undefined)).toBe(false);
+});
+
+test('restores a saved outbox with interrupted sends queued again', () => {
+  const saved = JSON.parse(JSON.stringify([
+    { ...item('t1'), status: 'sending' },
+    { ...item('t2'), status: 'failed' },
+    item('t3', { kind: 'roll', content: null, notation: '1d20' }),
+    { id: 'junk' }
+  ]));
+  expect(restoreOutbox(saved).map(i => [i.txnId, i.status])).toEqual([['t1', 'queued'], ['t2', 'failed'], ['t3', 'queued']]);
+  expect(restoreOutbox(null)).toEqual([]);
+});
@@ -0,0 +1,93 @@
+// purge.js
+// Filters for the GM's /purge command: which messages in a room's history to redact.
+// Works on decoded events (see rpgEvents.js), numbered by buildTranscript so scene numbers match
+// the scene index and /export --scenes. Roll commits are never purged, so /rolls still lists
+// purged rolls as deleted (see rollAudit.js).
+
+import { buildTranscript } from './transcript';
+import { splitFlags, parseDay, parseDayEnd, parseSceneRange } from './commandArgs';
+import { localpart } from './rpgEvents';
+
+export const PURGE_TYPES = ['chat', 'game', 'roll'];
+
+export const PURGE_USAGE = '/purge [--sender USER] [--type chat|game|roll] [--scenes N-M] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--confirm], /purge resume or /purge cancel';
+
+// Split "/purge" arguments into { filters, confirm }. Throws with the usage line on bad input.
+// --sender and --type can be repeated or take a comma-separated list; senders are resolved by the client.
+export const parsePurgeArgs = (text) => {
+  const { head, flags } = splitFlags(text);
+  if (head) {
+    throw new Error(`Unexpected "${head}". Usage: ${PURGE_USAGE}`);
+  }
+
+  const filters = { senders: [], types: [], from: null, to: null, scenes: null };
+  let confirm = false;
+
+  flags.forEach(({ key, words: [value] }) => {
+    const list = (value || '').split(',').filter(Boolean);
+
+    if (key === 'sender') {
+      if (list.length === 0) throw new Error('--sender needs a user, e.g. --sender @kira:matrix.org or --sender me');
+      filters.senders.push(...list);
+    } else if (key === 'type') {
+      const unknown = list.find(type => !PURGE_TYPES.includes(type.toLowerCase()));
+      if (list.length === 0 || unknown) {
+        throw new Error(`--type must be ${PURGE_TYPES.join(', ')} or a list like chat,roll`);
+      }
+      filters.types.push(...list.map(type => type.toLowerCase()));
+    } else if (key === 'from') {
+      filters.from = parseDay(value, 'from');
+    } else if (key === 'to') {
+      filters.to = parseDayEnd(value, 'to');
+    } else if (key === 'scenes' || key === 'scene') {
+      filters.scenes = parseSceneRange(value);
+    } else if (key === 'confirm') {
+      confirm = true;
+    } else {
+      throw new Error(`Unknown option --${key}. Usage: ${PURGE_USAGE}`);
+    }
+  });
+
+  return { filters, confirm };
+};
+
+// chat, game or roll for a transcript entry
+const purgeType = (entry) => entry.type === 'roll' ? 'roll' : entry.channel === 'chat' ? 'chat' : 'game';
+
+// Messages matching the filters, oldest first: [{ eventId, sender, type }]. Edits of a selected
+// message are selected too, since they carry its text.
+export const selectPurgeTargets = (events, filters = {}) => {
+  const { senders = [], types = [], from = null, to = null, scenes = null } = filters;
+
+  const { entries } = buildTranscript(events.filter(event => event.type !== 'edit'), { from, to, scenes, includeChat: true });
+  const selected = entries
+    .map(entry => ({ eventId: entry.eventId, sender: entry.sender, type: purgeType(entry) }))
+    .filter(target => senders.length === 0 || senders.includes(target.sender))
+    .filter(target => types.length === 0 || types.includes(target.type));
+
+  const byId = Object.fromEntries(selected.map(target => [target.eventId, target]));
+  const edits = events
+    .filter(event => event.type === 'edit' && byId[event.replaces])
+    .map(event => ({ eventId: event.eventId, sender: event.sender, type: byId[event.replaces].type, edit: true }));
+
+  return [...selected, ...edits];
+};
+
+// "12 messages (5 chat, 4 game, 3 rolls) from kira and gm"
+export const summarizePurge = (targets, nameOf = localpart) => {
+  const messages = targets.filter(target => !target.edit);
+  const count = (type) => messages.filter(target => target.type === type).length;
+  const parts = [
+    count('chat') && `${count('chat')} chat`,
+    count('game') && `${count('game')} game`,
+    count('roll') && `${count('roll')} ${count('roll') === 1 ? 'roll' : 'rolls'}`
+  ].filter(Boolean);
+
+  const senders = [...new Set(messages.map(target => target.sender))].map(nameOf);
+  const from = senders.length <= 1 ? senders.join('')
+    : `${senders.slice(0, -1).join(', ')} and ${senders[senders.length - 1]}`;
+
+  return `${messages.length} ${messages.length === 1 ? 'message' : 'messages'}` +
+    (parts.length ? ` (${parts.join(', ')})` : '') +
+    (from ? ` from ${from}` : '');
+};
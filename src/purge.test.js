@@ -0,0 +1,57 @@
+import { parsePurgeArgs, selectPurgeTargets, summarizePurge } from './purge';
+
+const at = (day, hour) => new Date(2024, 4, day, hour).getTime();
+
+const events = () => [
+  { type: 'chat', eventId: '$c1', sender: '@bo:x', text: 'brb', timestamp: at(1, 21) },
+  { type: 'scene', eventId: '$s1', sender: '@gm:x', text: 'The Docks', sceneName: 'The Docks', timestamp: at(1, 20) },
+  { type: 'narrate', eventId: '$n1', sender: '@gm:x', text: 'Fog rolls in.', timestamp: at(1, 20) + 1 },
+  { type: 'roll', eventId: '$r1', sender: '@kira:x', text: 'rolls', total: 17, timestamp: at(1, 22) },
+  { type: 'scene', eventId: '$s2', sender: '@gm:x', text: 'Ambush', sceneName: 'Ambush', timestamp: at(8, 20) },
+  { type: 'emote', eventId: '$e1', sender: '@kira:x', text: 'sighs', timestamp: at(8, 21) },
+  { type: 'edit', eventId: '$e1-edit', sender: '@kira:x', replaces: '$e1', text: 'sighs loudly', timestamp: at(8, 22) }
+];
+
+const ids = (targets) => targets.map(target => target.eventId);
+
+test('parses filters and the confirm flag', () => {
+  expect(parsePurgeArgs('')).toEqual({ filters: { senders: [], types: [], from: null, to: null, scenes: null }, confirm: false });
+
+  const { filters, confirm } = parsePurgeArgs('--sender kira,@bo:x --sender me --type chat,ROLL --from 2024-05-02 --to 2024-05-08 --scenes 2- --confirm');
+  expect(filters.senders).toEqual(['kira', '@bo:x', 'me']);
+  expect(filters.types).toEqual(['chat', 'roll']);
+  expect(filters.from).toBe(at(2, 0));
+  expect(filters.to).toBe(at(9, 0) - 1);
+  expect(filters.scenes).toEqual({ from: 2, to: Infinity });
+  expect(confirm).toBe(true);
+});
+
+test('rejects stray words, unknown options and bad values', () => {
+  expect(() => parsePurgeArgs('everything')).toThrow('Unexpected "everything"');
+  expect(() => parsePurgeArgs('--since 2024-05-01')).toThrow('Unknown option --since');
+  expect(() => parsePurgeArgs('--type ooc')).toThrow('--type must be');
+  expect(() => parsePurgeArgs('--sender')).toThrow('--sender needs a user');
+  expect(() => parsePurgeArgs('--scenes 4-2')).toThrow('ends before it starts');
+});
+
+test('selects by sender, type, scene and time', () => {
+  expect(ids(selectPurgeTargets(events(), {}))).toEqual(['$s1', '$n1', '$c1', '$r1', '$s2', '$e1', '$e1-edit']);
+  expect(ids(selectPurgeTargets(events(), { senders: ['@kira:x'], types: ['roll'] }))).toEqual(['$r1']);
+  expect(ids(selectPurgeTargets(events(), { types: ['game'] }))).toEqual(['$s1', '$n1', '$s2']);
+  expect(ids(selectPurgeTargets(events(), { scenes: { from: 2, to: 2 } }))).toEqual(['$s2', '$e1', '$e1-edit']);
+  expect(ids(selectPurgeTargets(events(), { from: at(1, 21), to: at(1, 23) }))).toEqual(['$c1', '$r1']);
+});
+
+test('takes edits along with the message they replace', () => {
+  const targets = selectPurgeTargets(events(), { types: ['chat'], senders: ['@kira:x'] });
+  expect(targets).toEqual([
+    { eventId: '$e1', sender: '@kira:x', type: 'chat' },
+    { eventId: '$e1-edit', sender: '@kira:x', type: 'chat', edit: true }
+  ]);
+});
+
+test('summarizes a dry run', () => {
+  expect(summarizePurge(selectPurgeTargets(events(), {}))).toBe('6 messages (2 chat, 3 game, 1 roll) from gm, bo and kira');
+  expect(summarizePurge(selectPurgeTargets(events(), { types: ['roll'] }), () => 'Kira')).toBe('1 message (1 roll) from Kira');
+  expect(summarizePurge([])).toBe('0 messages');
+});
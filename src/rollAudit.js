@@ -0,0 +1,206 @@
+// rollAudit.js
+// Tamper-evident roll log for /rolls and roll tombstones. Every roll is preceded by its commit
+// event (see verifiableRolls.js), which /delete and /clear never redact. So a roll that was
+// deleted, or rolled and never shown, still leaves its commit behind:
+//
+//   commit, then a roll naming it          -> rolled
+//   commit, then a redacted message        -> deleted (the sender's next message after a commit is the roll)
+//   commit with no roll after it           -> unrevealed, or pending while the roll may still arrive
+//
+// Limitation: redaction removes the roll's RPG block (formatted_body.rolls) along with the
+// commitEventId naming its commit, so a deleted roll can only be matched by position. That
+// holds for rolls sent by this client, which sends the roll straight after its commit, but a
+// client that sends something else in between would have that message taken for the roll.
+//
+// Entries are the room's events in timeline order, reduced to:
+//   { kind: 'commit', eventId, sender, timestamp, expression }
+//   { kind: 'roll', eventId, sender, timestamp, commitEventId, expression, total, label }
+//   { kind: 'deleted', eventId, sender, timestamp, redactedBy, redactedAt }
+//   { kind: 'message', eventId, sender, timestamp }
+
+import { decodeRpgEvent, localpart } from './rpgEvents';
+import { ROLL_COMMIT_EVENT } from './verifiableRolls';
+
+// A roll follows its commit within seconds; give slow connections some slack
+export const PENDING_ROLL_MS = 60 * 1000;
+
+export const ROLLS_USAGE = '/rolls [all] (all loads the entire campaign first)';
+
+// A deleted message. Redacting an encrypted message strips its content but keeps the
+// m.room.encrypted type, so in encrypted rooms that's what a deleted roll looks like.
+export const isDeletedMessage = (event) => event.isRedacted() &&
+  (event.getType() === 'm.room.message' || event.getType() === 'm.room.encrypted');
+
+// Audit entry for a (decrypted) room event, or null for events that aren't messages
+export const rollAuditEntry = (event) => {
+  const base = {
+    eventId: event.getId(),
+    sender: event.getSender(),
+    timestamp: event.getTs()
+  };
+
+  if (event.getType() === ROLL_COMMIT_EVENT) {
+    return { ...base, kind: 'commit', expression: event.getContent().expression || null };
+  }
+  if (isDeletedMessage(event)) {
+    const redaction = event.getUnsigned().redacted_because;
+    return {
+      ...base,
+      kind: 'deleted',
+      redactedBy: redaction?.sender || null,
+      redactedAt: redaction?.origin_server_ts || null
+    };
+  }
+  if (event.getType() !== 'm.room.message') return null;
+
+  const decoded = decodeRpgEvent(event);
+  if (decoded?.type !== 'roll') return { ...base, kind: 'message' };
+
+  return {
+    ...base,
+    kind: 'roll',
+    commitEventId: decoded.verification?.commitEventId || null,
+    expression: decoded.expression,
+    total: decoded.total,
+    label: decoded.label
+  };
+};
+
+// Commits the sender of `commitEventId` sent just before it, since they last revealed a roll, and
+// never revealed. Committing until the dice come out well and revealing only that roll leaves
+// exactly this behind, so verifyRoll doesn't vouch for a roll with skipped commits.
+export const skippedCommits = (entries, commitEventId) => {
+  const index = entries.findIndex(entry => entry.kind === 'commit' && entry.eventId === commitEventId);
+  if (index < 0) return [];
+
+  const { sender } = entries[index];
+  const revealed = new Set(entries.filter(entry => entry.kind === 'roll').map(entry => entry.commitEventId));
+  const skipped = [];
+  for (let i = index - 1; i >= 0; i--) {
+    const entry = entries[i];
+    if (entry.sender !== sender) continue;
+    // A roll, or a deleted one, ends the run; so does a commit that was revealed later
+    if (entry.kind === 'roll' || entry.kind === 'deleted') break;
+    if (entry.kind === 'commit') {
+      if (revealed.has(entry.eventId)) break;
+      skipped.unshift(entry.eventId);
+    }
+  }
+  return skipped;
+};
+
+// Returns { [sender]: [{ status, sender, timestamp, commitEventId, eventId, expression, total, label, redactedBy, redactedAt }] }
+export const buildRollAudit = (entries, { now = Date.now() } = {}) => {
+  const records = [];
+  const byCommit = {};
+  const awaitingRoll = {}; // sender -> commit record their next message should reveal
+
+  entries.forEach(entry => {
+    const { sender } = entry;
+
+    if (entry.kind === 'commit') {
+      const record = {
+        status: 'unrevealed',
+        sender,
+        timestamp: entry.timestamp,
+        commitEventId: entry.eventId,
+        eventId: null,
+        expression: entry.expression || null,
+        total: null,
+        label: null
+      };
+      records.push(record);
+      byCommit[entry.eventId] = record;
+      awaitingRoll[sender] = record;
+      return;
+    }
+
+    const pending = awaitingRoll[sender];
+    awaitingRoll[sender] = null;
+
+    if (entry.kind === 'roll') {
+      const committed = byCommit[entry.commitEventId];
+      const record = committed && committed.sender === sender && committed.status === 'unrevealed' ? committed : null;
+      const rolled = {
+        status: 'rolled',
+        sender,
+        timestamp: entry.timestamp,
+        commitEventId: entry.commitEventId || null,
+        eventId: entry.eventId,
+        expression: entry.expression || (record && record.expression) || null,
+        total: entry.total,
+        label: entry.label || null
+      };
+      if (record) {
+        Object.assign(record, rolled);
+      } else {
+        // Rolls from before commit/reveal, or naming a commit we haven't loaded
+        records.push(rolled);
+      }
+    } else if (entry.kind === 'deleted' && pending) {
+      Object.assign(pending, {
+        status: 'deleted',
+        eventId: entry.eventId,
+        timestamp: entry.timestamp,
+        redactedBy: entry.redactedBy || null,
+        redactedAt: entry.redactedAt || null
+      });
+    }
+  });
+
+  return records
+    .map(record => record.status === 'unrevealed' && now - record.timestamp < PENDING_ROLL_MS
+      ? { ...record, status: 'pending' }
+      : record)
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .reduce((players, record) => ({
+      ...players,
+      [record.sender]: [...(players[record.sender] || []), record]
+    }), {});
+};
+
+const formatTime = (timestamp) => timestamp
+  ? new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+  : '?';
+
+// "Kira's 1d20 roll (17) was deleted by the GM at 19:06"
+export const describeDeletedRoll = ({ sender, expression, total, redactedBy, redactedAt }, nameOf = localpart) => {
+  const what = expression ? `${nameOf(sender)}'s ${expression} roll` : `A roll by ${nameOf(sender)}`;
+  const result = typeof total === 'number' ? ` (${total})` : '';
+  const by = redactedBy ? ` by ${redactedBy === sender ? 'them' : nameOf(redactedBy)}` : '';
+  return `${what}${result} was deleted${by} at ${formatTime(redactedAt)}`;
+};
+
+const describeRecord = (record, nameOf) => {
+  const expression = [record.label, record.expression].filter(Boolean).join(' ') || 'roll';
+  switch (record.status) {
+    case 'rolled':
+      return `${expression} = ${record.total}`;
+    case 'deleted':
+      return `${expression}: DELETED${record.redactedBy ? ` by ${nameOf(record.redactedBy)}` : ''}${record.redactedAt ? ` at ${formatTime(record.redactedAt)}` : ''}`;
+    case 'unrevealed':
+      return `${expression}: committed, never revealed`;
+    default:
+      return `${expression}: rolling…`;
+  }
+};
+
+// Text for /rolls: one block per player, flagged rolls counted in the heading
+export const formatRollAudit = (audit, nameOf = localpart) => {
+  const players = Object.keys(audit);
+  if (players.length === 0) return 'No rolls yet.';
+
+  return players.map(sender => {
+    const records = audit[sender];
+    const deleted = records.filter(record => record.status === 'deleted').length;
+    const unrevealed = records.filter(record => record.status === 'unrevealed').length;
+    const flags = [
+      deleted > 0 ? `${deleted} deleted` : null,
+      unrevealed > 0 ? `${unrevealed} never revealed` : null
+    ].filter(Boolean);
+
+    const heading = `${nameOf(sender)}: ${records.length} ${records.length === 1 ? 'roll' : 'rolls'}${flags.length ? `, ${flags.join(', ')}` : ''}`;
+    const lines = records.map(record => `  ${formatTime(record.timestamp)} ${describeRecord(record, nameOf)}`);
+    return [heading, ...lines].join('\n');
+  }).join('\n');
+};
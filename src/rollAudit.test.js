@@ -0,0 +1,131 @@
+import { buildRollAudit, formatRollAudit, describeDeletedRoll, isDeletedMessage, rollAuditEntry, skippedCommits } from './rollAudit';
+import { ROLL_COMMIT_EVENT } from './verifiableRolls';
+
+const KIRA = '@kira:example.org';
+const GM = '@gm:example.org';
+
+const commit = (eventId, sender, timestamp, expression = '1d20') => ({ kind: 'commit', eventId, sender, timestamp, expression });
+const roll = (eventId, sender, timestamp, commitEventId, total, expression = '1d20') => ({ kind: 'roll', eventId, sender, timestamp, commitEventId, expression, total, label: null });
+
+test('matches rolls to their commits and groups them per player', () => {
+  const audit = buildRollAudit([
+    commit('$c1', KIRA, 1000),
+    roll('$r1', KIRA, 1001, '$c1', 17),
+    commit('$c2', GM, 2000, '2d6'),
+    roll('$r2', GM, 2001, '$c2', 7, '2d6'),
+    // A roll from before commit/reveal still shows up
+    { kind: 'roll', eventId: '$r3', sender: KIRA, timestamp: 3000, commitEventId: null, expression: '1d4', total: 2 }
+  ], { now: 100000 });
+
+  expect(Object.keys(audit)).toEqual([KIRA, GM]);
+  expect(audit[KIRA].map(r => [r.status, r.commitEventId, r.eventId, r.total])).toEqual([
+    ['rolled', '$c1', '$r1', 17],
+    ['rolled', null, '$r3', 2]
+  ]);
+  expect(audit[GM][0]).toMatchObject({ status: 'rolled', expression: '2d6', total: 7 });
+});
+
+test('a redacted message right after a commit is a deleted roll', () => {
+  const audit = buildRollAudit([
+    commit('$c1', KIRA, 1000),
+    { kind: 'message', eventId: '$m1', sender: GM, timestamp: 1000 },
+    { kind: 'deleted', eventId: '$r1', sender: KIRA, timestamp: 1001, redactedBy: KIRA, redactedAt: 5000 },
+    // Deleting an ordinary message is not a deleted roll
+    { kind: 'message', eventId: '$m2', sender: KIRA, timestamp: 6000 },
+    { kind: 'deleted', eventId: '$m3', sender: KIRA, timestamp: 7000, redactedBy: KIRA, redactedAt: 8000 }
+  ], { now: 100000 });
+
+  expect(audit[KIRA]).toHaveLength(1);
+  expect(audit[KIRA][0]).toMatchObject({
+    status: 'deleted',
+    commitEventId: '$c1',
+    eventId: '$r1',
+    expression: '1d20',
+    redactedBy: KIRA,
+    redactedAt: 5000
+  });
+});
+
+test('commits without a roll are pending, then unrevealed', () => {
+  const entries = [commit('$c1', KIRA, 1000), { kind: 'message', eventId: '$m1', sender: KIRA, timestamp: 2000 }];
+  expect(buildRollAudit(entries, { now: 2000 })[KIRA][0].status).toBe('pending');
+  expect(buildRollAudit(entries, { now: 1000 + 61000 })[KIRA][0].status).toBe('unrevealed');
+});
+
+test('a roll cannot claim someone else\'s commit', () => {
+  const audit = buildRollAudit([commit('$c1', KIRA, 1000), roll('$r1', GM, 1001, '$c1', 20)], { now: 100000 });
+  expect(audit[KIRA][0].status).toBe('unrevealed');
+  expect(audit[GM][0]).toMatchObject({ status: 'rolled', total: 20 });
+});
+
+test('formats the audit with deletions flagged', () => {
+  const audit = buildRollAudit([
+    commit('$c1', KIRA, 1000),
+    roll('$r1', KIRA, 1001, '$c1', 17),
+    commit('$c2', KIRA, 2000),
+    { kind: 'deleted', eventId: '$r2', sender: KIRA, timestamp: 2001, redactedBy: GM, redactedAt: 3000 },
+    commit('$c3', KIRA, 4000, '2d6')
+  ], { now: 100000 });
+
+  const lines = formatRollAudit(audit).split('\n');
+  expect(lines[0]).toBe('kira: 3 rolls, 1 deleted, 1 never revealed');
+  expect(lines[1]).toMatch(/1d20 = 17$/);
+  expect(lines[2]).toMatch(/1d20: DELETED by gm at /);
+  expect(lines[3]).toMatch(/2d6: committed, never revealed$/);
+
+  expect(formatRollAudit({})).toBe('No rolls yet.');
+});
+
+test('describes a deleted roll for its tombstone', () => {
+  expect(describeDeletedRoll({ sender: KIRA, expression: '1d20', total: 2, redactedBy: KIRA, redactedAt: 5000 }))
+    .toMatch(/^kira's 1d20 roll \(2\) was deleted by them at /);
+  expect(describeDeletedRoll({ sender: KIRA, redactedBy: GM, redactedAt: 5000 }, id => id === GM ? 'The GM' : 'Kira'))
+    .toMatch(/^A roll by Kira was deleted by The GM at /);
+});
+
+// Room events as the SDK shows them after decryption
+const fakeEvent = (type, { id, sender = KIRA, ts = 1000, content = {}, redactedBy = null } = {}) => ({
+  getType: () => type,
+  getId: () => id,
+  getSender: () => sender,
+  getTs: () => ts,
+  getRoomId: () => '!room:example.org',
+  getContent: () => redactedBy ? {} : content,
+  getUnsigned: () => redactedBy ? { redacted_because: { sender: redactedBy, origin_server_ts: ts + 500 } } : {},
+  isRedacted: () => !!redactedBy,
+  replacingEvent: () => null
+});
+
+test('a deleted roll in an encrypted room still counts as deleted', () => {
+  const deleted = fakeEvent('m.room.encrypted', { id: '$r1', ts: 1001, redactedBy: GM });
+  expect(isDeletedMessage(deleted)).toBe(true);
+  expect(isDeletedMessage(fakeEvent('m.room.encrypted', { id: '$e1' }))).toBe(false);
+
+  const entries = [
+    fakeEvent(ROLL_COMMIT_EVENT, { id: '$c1', content: { expression: '1d20' } }),
+    deleted
+  ].map(rollAuditEntry);
+  expect(entries[1]).toEqual({ kind: 'deleted', eventId: '$r1', sender: KIRA, timestamp: 1001, redactedBy: GM, redactedAt: 1501 });
+  expect(buildRollAudit(entries, { now: 100000 })[KIRA][0]).toMatchObject({ status: 'deleted', expression: '1d20', eventId: '$r1' });
+
+  // Events that can't be read yet aren't messages at all
+  expect(rollAuditEntry(fakeEvent('m.room.encrypted', { id: '$e1' }))).toBeNull();
+});
+
+test('finds the commits a roller dropped before the one they revealed', () => {
+  const entries = [
+    commit('$c1', KIRA, 1000),
+    roll('$r1', KIRA, 1001, '$c1', 3),
+    commit('$c2', KIRA, 2000),
+    commit('$g1', GM, 2001),
+    { kind: 'message', eventId: '$m1', sender: KIRA, timestamp: 2002 },
+    commit('$c3', KIRA, 2003),
+    commit('$c4', KIRA, 2004),
+    roll('$r4', KIRA, 2005, '$c4', 20)
+  ];
+
+  expect(skippedCommits(entries, '$c4')).toEqual(['$c2', '$c3']);
+  expect(skippedCommits(entries, '$c1')).toEqual([]);
+  expect(skippedCommits(entries, '$g1')).toEqual([]);
+  expect(skippedCommits(entries, '$missing')).toEqual([]);
+});
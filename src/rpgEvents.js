@@ -0,0 +1,264 @@
+// rpgEvents.js
+// RPG message schema. Rolls, scenes, narration and game/chat posts are regular m.room.message
+// events: `body` is a plain-text fallback, `formatted_body` an HTML fallback for other Matrix
+// clients, and the structured payload lives in a namespaced, versioned block:
+//
+//   "org.matrix.custom.rpg": { "version": 1, "type": "roll", "dice": "2d6+1", ... }
+//
+// Version 0 is the legacy layout, where the payload object was stored in `formatted_body`
+// with `format: "org.matrix.custom.rpg"`. It is still read so old room history renders.
+
+import { describeScene } from './scenes';
+
+export const RPG_CONTENT_KEY = 'org.matrix.custom.rpg';
+export const RPG_SCHEMA_VERSION = 1;
+
+const LEGACY_FORMAT = 'org.matrix.custom.rpg';
+
+export const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Escape and keep line breaks
+const htmlText = (text) => escapeHtml(text).replace(/\n/g, '<br>');
+
+// Build m.room.message content for an RPG payload. `html` is optional: plain posts don't need it.
+export const buildRpgContent = (type, payload, { body, html = null }) => {
+  const content = {
+    msgtype: 'm.text',
+    body
+  };
+
+  if (html) {
+    content.format = 'org.matrix.custom.html';
+    content.formatted_body = html;
+  }
+
+  content[RPG_CONTENT_KEY] = {
+    version: RPG_SCHEMA_VERSION,
+    type,
+    ...payload
+  };
+
+  return content;
+};
+
+// Read the RPG payload from current or legacy content; null for messages without one
+export const readRpgPayload = (content) => {
+  if (!content) return null;
+
+  const block = content[RPG_CONTENT_KEY];
+  if (block && typeof block === 'object' && typeof block.type === 'string') {
+    return block;
+  }
+
+  // Legacy (version 0): payload object in formatted_body
+  if (content.format === LEGACY_FORMAT && content.formatted_body && typeof content.formatted_body === 'object') {
+    return { version: 0, ...content.formatted_body };
+  }
+
+  return null;
+};
+
+// HTML fallbacks for clients that don't understand the RPG block
+
+export const rollHtml = ({ username, label, dice, expression, breakdown, total, outcome }) =>
+  `<p>🎲 <strong>${escapeHtml(username)}</strong> ${label ? `${escapeHtml(label)} ` : ''}<code>${escapeHtml(expression || dice)}</code>: ` +
+  `${escapeHtml(breakdown)} = <strong>${escapeHtml(total)}</strong>` +
+  (outcome ? ` (<em>${escapeHtml(outcome.summary)}</em>)` : '') +
+  '</p>';
+
+export const sceneHtml = (scene) => {
+  const details = describeScene(scene);
+  return `<hr><h3>${escapeHtml(scene.sceneName)}</h3>` + (details ? `<p><em>${escapeHtml(details)}</em></p>` : '');
+};
+
+export const narrationHtml = (text) => `<p><em>${htmlText(text)}</em></p>`;
+
+// Content for an m.replace edit; clients without edit support show the "* corrected" fallback
+export const buildEditContent = (eventId, newContent) => ({
+  ...newContent,
+  body: `* ${newContent.body}`,
+  ...(newContent.formatted_body ? { formatted_body: `* ${newContent.formatted_body}` } : {}),
+  'm.new_content': newContent,
+  'm.relates_to': { rel_type: 'm.replace', event_id: eventId }
+});
+
+// Decoding
+
+// Every kind of message the UI knows how to show
+export const RPG_EVENT_TYPES = ['roll', 'scene', 'narrate', 'game', 'chat', 'emote', 'system'];
+
+// "@kira:example.org" -> "kira", for when there's no display name
+export const localpart = (userId) => (userId || '').split(':')[0].replace(/^@/, '');
+
+const asArray = (value) => Array.isArray(value) ? value : [];
+const asNumber = (value) => typeof value === 'number' && isFinite(value) ? value : null;
+const asString = (value) => typeof value === 'string' ? value : null;
+const asRecord = (value) => value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+
+// Payload readers per RPG type; each returns the fields added to the decoded event
+const PAYLOAD_DECODERS = {
+  roll: (payload, sender) => ({
+    dice: asString(payload.dice),
+    rolls: asArray(payload.rolls),
+    groups: asArray(payload.groups),
+    breakdown: asString(payload.breakdown),
+    total: asNumber(payload.total),
+    outcome: payload.outcome && typeof payload.outcome === 'object' ? payload.outcome : null,
+    // Legacy even/odd fields from before rule systems
+    hits: payload.hits,
+    highEvenOdd: payload.highEvenOdd,
+    lowEvenOdd: payload.lowEvenOdd,
+    username: asString(payload.username) || localpart(sender),
+    // As typed, with any @stat references; `stats` holds the sheet values they resolved to
+    expression: asString(payload.expression) || asString(payload.dice),
+    stats: asRecord(payload.stats),
+    label: asString(payload.label),
+    verification: payload.verification || null
+  }),
+  scene: (payload) => ({
+    sceneName: asString(payload.sceneName),
+    sceneType: asString(payload.sceneType) || 'regular',
+    location: asString(payload.location),
+    participants: asArray(payload.participants).filter(name => typeof name === 'string')
+  }),
+  narrate: () => ({}),
+  game: () => ({}),
+  chat: () => ({})
+};
+
+// Replies and threads
+
+// { replyTo, threadRoot } from an event's m.relates_to. Thread posts whose reply is only the
+// fallback for clients without threads (is_falling_back) aren't replies.
+export const messageRelations = (content) => {
+  const relation = asRecord(content && content['m.relates_to']);
+  const inReplyTo = asString(asRecord(relation['m.in_reply_to']).event_id);
+  const threadRoot = relation.rel_type === 'm.thread' ? asString(relation.event_id) : null;
+
+  return {
+    replyTo: threadRoot && relation.is_falling_back ? null : inReplyTo,
+    threadRoot
+  };
+};
+
+// Split a reply's body into the quoted fallback ("> <@bo:x> quoted\n\nreply") and the reply text
+export const stripReplyFallback = (body) => {
+  const match = /^> <([^>\n]+)> ([^\n]*(?:\n> [^\n]*)*)\n\n/.exec(body);
+  if (!match) return { text: body, quote: null };
+
+  return {
+    text: body.substring(match[0].length),
+    quote: { sender: match[1], text: match[2].replace(/\n> /g, '\n') }
+  };
+};
+
+// Turn message content into a reply to `target` (a decoded event). With `thread`, the reply starts
+// or continues the target's thread; replies to a message in a thread stay in that thread.
+export const buildReplyContent = (content, target, { thread = false } = {}) => {
+  const threadRoot = target.threadRoot || (thread ? target.eventId : null);
+  const startsThread = thread && threadRoot === target.eventId;
+
+  // Starting a thread on a message isn't a reply to it, so there's nothing to quote
+  const quoted = target.text.split('\n').map((line, index) => index === 0 ? `> <${target.sender}> ${line}` : `> ${line}`).join('\n');
+  const body = startsThread ? content.body : `${quoted}\n\n${content.body}`;
+
+  const inReplyTo = { 'm.in_reply_to': { event_id: target.eventId } };
+  return {
+    ...content,
+    body,
+    'm.relates_to': threadRoot
+      ? { rel_type: 'm.thread', event_id: threadRoot, is_falling_back: startsThread, ...inReplyTo }
+      : inReplyTo
+  };
+};
+
+// Message content (an event's, or an edit's m.new_content) to { type, text, ...payload fields }
+const decodeContent = (content, sender) => {
+  if (typeof content.body !== 'string') return null;
+
+  const decoded = { type: 'chat', text: content.body };
+
+  if (content.msgtype === 'm.emote') {
+    return { ...decoded, type: 'emote' };
+  }
+  if (content.msgtype === 'm.notice') {
+    return { ...decoded, type: 'system' };
+  }
+
+  const payload = readRpgPayload(content);
+  if (!payload) return decoded;
+
+  const decodePayload = PAYLOAD_DECODERS[payload.type];
+  if (!decodePayload) {
+    return { ...decoded, unknownType: payload.type };
+  }
+
+  return {
+    ...decoded,
+    ...decodePayload(payload, sender),
+    type: payload.type,
+    version: payload.version
+  };
+};
+
+// Message types that can be corrected with /edit. Rolls and scenes are records of play and stay as sent.
+export const EDITABLE_TYPES = ['narrate', 'game', 'chat', 'emote'];
+
+// ID of the event an edit (m.replace relation) applies to, or null
+export const editTarget = (content) => {
+  const relation = content && content['m.relates_to'];
+  return relation && relation.rel_type === 'm.replace' && typeof relation.event_id === 'string' ? relation.event_id : null;
+};
+
+// Apply a decoded edit to the decoded message it replaces. Only the author can edit, only editable
+// types, and the edit can't move the message to another type; anything else leaves it unchanged.
+export const applyEdit = (original, edit) => {
+  if (!edit || edit.type !== 'edit' || edit.replaces !== original.eventId) return original;
+  if (!EDITABLE_TYPES.includes(original.type) || edit.editedType !== original.type || edit.sender !== original.sender) {
+    return original;
+  }
+  if (original.editedAt && original.editedAt > edit.timestamp) return original;
+
+  return { ...original, text: edit.text, edited: true, editedAt: edit.timestamp };
+};
+
+// Turn a Matrix event (MatrixEvent, decrypted) into a typed RPG event, or null if it isn't a
+// displayable message. Unknown RPG types from newer clients fall back to chat with their body text.
+// Edits decode to type 'edit' with the replacement in `text`, `editedType` and the target in `replaces`.
+export const decodeRpgEvent = (event) => {
+  if (event.getType() !== 'm.room.message' || event.isRedacted()) return null;
+
+  // The SDK can swap in an edit's content; decode what was sent and apply edits ourselves
+  const content = (event.getOriginalContent ? event.getOriginalContent() : event.getContent()) || {};
+  const sender = event.getSender();
+  const base = {
+    eventId: event.getId(),
+    roomId: event.getRoomId(),
+    sender,
+    timestamp: event.getTs()
+  };
+
+  const replaces = editTarget(content);
+  if (replaces) {
+    const replacement = decodeContent(content['m.new_content'] || {}, sender);
+    if (!replacement) return null;
+    return { ...base, ...replacement, type: 'edit', editedType: replacement.type, replaces };
+  }
+
+  const decoded = decodeContent(content, sender);
+  if (!decoded) return null;
+
+  // Replies show their own text; the quoted fallback is kept for when the target isn't loaded
+  const relations = messageRelations(content);
+  const reply = relations.replyTo ? stripReplyFallback(decoded.text) : {};
+
+  // Latest edit the server bundled with the event or the SDK aggregated onto it
+  const replacingEvent = event.replacingEvent ? event.replacingEvent() : null;
+  const message = { ...base, ...decoded, ...relations, ...reply };
+  return replacingEvent ? applyEdit(message, decodeRpgEvent(replacingEvent)) : message;
+};
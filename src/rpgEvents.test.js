@@ -0,0 +1,132 @@
+import { buildRpgContent, buildEditContent, buildReplyContent, decodeRpgEvent, readRpgPayload } from './rpgEvents';
+
+// Minimal stand-in for a decrypted MatrixEvent
+const fakeEvent = (content, { type = 'm.room.message', sender = '@alice:example.org', redacted = false, id = '$event', ts = 1700000000000, replacing = null } = {}) => ({
+  getType: () => type,
+  getContent: () => content,
+  getSender: () => sender,
+  getId: () => id,
+  getRoomId: () => '!room:example.org',
+  getTs: () => ts,
+  isRedacted: () => redacted,
+  replacingEvent: () => replacing
+});
+
+const legacyContent = (payload, body = 'legacy') => ({
+  msgtype: 'm.text',
+  body,
+  format: 'org.matrix.custom.rpg',
+  formatted_body: payload
+});
+
+test('decodes a roll with its dice and proof', () => {
+  const content = buildRpgContent('roll', {
+    dice: '2d6+1',
+    rolls: [3, 5],
+    breakdown: '[3][5]+1',
+    total: 9,
+    outcome: { system: 'pbta', key: 'weak', summary: 'weak hit' },
+    username: 'alice',
+    verification: { algorithm: 'sha256-sfc32-v1', commitEventId: '$commit', nonce: 'ab' }
+  }, { body: '🎲 @alice 2d6+1: [3][5]+1 = 9', html: '<p>roll</p>' });
+
+  const decoded = decodeRpgEvent(fakeEvent(content));
+  expect(decoded.type).toBe('roll');
+  expect(decoded.total).toBe(9);
+  expect(decoded.rolls).toEqual([3, 5]);
+  expect(decoded.outcome.summary).toBe('weak hit');
+  expect(decoded.verification.commitEventId).toBe('$commit');
+  expect(decoded.version).toBe(1);
+});
+
+test('fills in the roll username from the sender when it is missing', () => {
+  const decoded = decodeRpgEvent(fakeEvent(legacyContent({ type: 'roll', dice: '1d6', rolls: [4], total: 4 })));
+  expect(decoded.type).toBe('roll');
+  expect(decoded.username).toBe('alice');
+  expect(decoded.version).toBe(0);
+});
+
+test('decodes scenes, narration and channel posts', () => {
+  const scene = decodeRpgEvent(fakeEvent(buildRpgContent('scene', { sceneName: 'The Docks', sceneType: 'regular' }, { body: 'The Docks' })));
+  expect(scene).toMatchObject({ type: 'scene', sceneName: 'The Docks', sceneType: 'regular' });
+
+  expect(decodeRpgEvent(fakeEvent(buildRpgContent('narrate', {}, { body: 'Rain falls.' }))).type).toBe('narrate');
+  expect(decodeRpgEvent(fakeEvent(legacyContent({ type: 'game' }, 'I draw my sword'))).type).toBe('game');
+  expect(decodeRpgEvent(fakeEvent({ msgtype: 'm.text', body: 'hi' }))).toMatchObject({ type: 'chat', text: 'hi' });
+});
+
+test('decodes emotes and notices from other clients', () => {
+  expect(decodeRpgEvent(fakeEvent({ msgtype: 'm.emote', body: 'waves' })).type).toBe('emote');
+  expect(decodeRpgEvent(fakeEvent({ msgtype: 'm.notice', body: 'Bot says hi' })).type).toBe('system');
+});
+
+test('falls back to chat for unknown RPG types', () => {
+  const decoded = decodeRpgEvent(fakeEvent(buildRpgContent('card_draw', { card: 'Ace' }, { body: 'drew the Ace' })));
+  expect(decoded).toMatchObject({ type: 'chat', text: 'drew the Ace', unknownType: 'card_draw' });
+});
+
+test('tolerates malformed payloads', () => {
+  const decoded = decodeRpgEvent(fakeEvent(legacyContent({ type: 'roll', rolls: 'nope', total: '9' })));
+  expect(decoded.rolls).toEqual([]);
+  expect(decoded.total).toBeNull();
+  expect(readRpgPayload(legacyContent('not an object'))).toBeNull();
+});
+
+test('ignores non-message, redacted and bodyless events', () => {
+  expect(decodeRpgEvent(fakeEvent({}, { type: 'm.room.member' }))).toBeNull();
+  expect(decodeRpgEvent(fakeEvent({ msgtype: 'm.text', body: 'gone' }, { redacted: true }))).toBeNull();
+  expect(decodeRpgEvent(fakeEvent({ msgtype: 'm.text' }))).toBeNull();
+});
+
+test('decodes edits and applies the latest one to the message', () => {
+  const original = buildRpgContent('narrate', {}, { body: 'Rain fals.' });
+  const editContent = buildEditContent('$event', buildRpgContent('narrate', {}, { body: 'Rain falls.' }));
+  expect(editContent.body).toBe('* Rain falls.');
+
+  const edit = fakeEvent(editContent, { id: '$edit', ts: 1700000060000 });
+  expect(decodeRpgEvent(edit)).toMatchObject({ type: 'edit', editedType: 'narrate', replaces: '$event', text: 'Rain falls.' });
+
+  const decoded = decodeRpgEvent(fakeEvent(original, { replacing: edit }));
+  expect(decoded).toMatchObject({ type: 'narrate', text: 'Rain falls.', edited: true, editedAt: 1700000060000 });
+});
+
+test('ignores edits to rolls, edits by others and edits that change the type', () => {
+  const roll = buildRpgContent('roll', { dice: '1d20', rolls: [2], total: 2 }, { body: '🎲 1d20 = 2' });
+  const fakeRoll = buildEditContent('$event', buildRpgContent('roll', { dice: '1d20', rolls: [20], total: 20 }, { body: '🎲 1d20 = 20' }));
+  expect(decodeRpgEvent(fakeEvent(roll, { replacing: fakeEvent(fakeRoll, { id: '$edit' }) })).total).toBe(2);
+
+  const chat = { msgtype: 'm.text', body: 'hello' };
+  const byOther = fakeEvent(buildEditContent('$event', { msgtype: 'm.text', body: 'pwned' }), { id: '$edit', sender: '@mallory:example.org' });
+  expect(decodeRpgEvent(fakeEvent(chat, { replacing: byOther })).text).toBe('hello');
+
+  const toScene = fakeEvent(buildEditContent('$event', buildRpgContent('scene', { sceneName: 'X' }, { body: 'X' })), { id: '$edit' });
+  expect(decodeRpgEvent(fakeEvent(chat, { replacing: toScene }))).not.toHaveProperty('edited');
+});
+
+test('decodes replies with their quoted fallback', () => {
+  const target = { eventId: '$roll', sender: '@bo:example.org', text: '🎲 @bo 1d20 = 2\nfumble', threadRoot: null };
+  const content = buildReplyContent(buildRpgContent('chat', {}, { body: 'why did that fail?' }), target);
+  expect(content.body).toBe('> <@bo:example.org> 🎲 @bo 1d20 = 2\n> fumble\n\nwhy did that fail?');
+
+  expect(decodeRpgEvent(fakeEvent(content))).toMatchObject({
+    type: 'chat',
+    text: 'why did that fail?',
+    replyTo: '$roll',
+    threadRoot: null,
+    quote: { sender: '@bo:example.org', text: '🎲 @bo 1d20 = 2\nfumble' }
+  });
+});
+
+test('starts and continues threads', () => {
+  const root = { eventId: '$scene', sender: '@gm:example.org', text: 'The Docks', threadRoot: null };
+  const first = buildReplyContent(buildRpgContent('chat', {}, { body: 'OOC: are we still at night?' }), root, { thread: true });
+  expect(first.body).toBe('OOC: are we still at night?');
+  expect(first['m.relates_to']).toMatchObject({ rel_type: 'm.thread', event_id: '$scene', is_falling_back: true });
+
+  const decoded = decodeRpgEvent(fakeEvent(first, { id: '$q' }));
+  expect(decoded).toMatchObject({ threadRoot: '$scene', replyTo: null, text: 'OOC: are we still at night?' });
+
+  // Replying to a thread message keeps it in the thread, as a real reply
+  const answer = buildReplyContent(buildRpgContent('chat', {}, { body: 'yes' }), decoded);
+  expect(decodeRpgEvent(fakeEvent(answer))).toMatchObject({ threadRoot: '$scene', replyTo: '$q', text: 'yes' });
+});
@@ -0,0 +1,160 @@
+// ruleSystems.js
+// Game-system interpretation of dice results. A room picks one system through the
+// org.matrix.custom.rpg.system state event; sendRoll stores the interpreted outcome in the roll event.
+
+export const RULE_SYSTEM_EVENT = 'org.matrix.custom.rpg.system';
+
+export const DEFAULT_RULE_SYSTEM = { system: 'evenodd', options: {} };
+
+const plural = (count, word, pluralWord = `${word}s`) => `${count} ${count !== 1 ? pluralWord : word}`;
+
+// Kept dice values from a dice result (see dice.js)
+const keptDice = (result) => result.rolls || [];
+
+// Pool systems read the dice themselves; `/roll 5`, or a pool with every die dropped, has none
+const NO_DICE = { key: 'no-dice', label: 'no dice', hits: 0, summary: 'no dice' };
+
+export const RULE_SYSTEMS = {
+  // The original homebrew mode: even dice are hits
+  evenodd: {
+    name: 'Even/odd',
+    usage: '/system evenodd',
+    parseOptions: () => ({}),
+    interpret: (result) => {
+      const dice = keptDice(result);
+      if (dice.length === 0) return NO_DICE;
+      const hits = dice.filter(roll => roll % 2 === 0).length;
+      const highEvenOdd = Math.max(...dice) % 2 === 0 ? 'even' : 'odd';
+      const lowEvenOdd = Math.min(...dice) % 2 === 0 ? 'even' : 'odd';
+
+      return {
+        key: hits > 0 ? 'hit' : 'miss',
+        label: plural(hits, 'hit'),
+        hits,
+        highEvenOdd,
+        lowEvenOdd,
+        summary: `${plural(hits, 'hit')}, high ${highEvenOdd}, low ${lowEvenOdd}`
+      };
+    }
+  },
+
+  // Count dice at or above a target number, e.g. d10 >= 8
+  threshold: {
+    name: 'Success threshold',
+    usage: '/system threshold TARGET (e.g., /system threshold 8)',
+    parseOptions: (args) => {
+      const target = parseInt(args[0], 10);
+      if (!target || target < 1) {
+        throw new Error('Usage: /system threshold TARGET (e.g., /system threshold 8)');
+      }
+      return { target };
+    },
+    interpret: (result, options) => {
+      const target = options.target || 8;
+      const dice = keptDice(result);
+      if (dice.length === 0) return NO_DICE;
+      const hits = dice.filter(roll => roll >= target).length;
+      const label = plural(hits, 'success', 'successes');
+
+      return {
+        key: hits > 0 ? 'hit' : 'miss',
+        label,
+        hits,
+        summary: `${label} (${target}+)`
+      };
+    }
+  },
+
+  // Shadowrun-style pools: 5s and 6s are hits, more than half 1s is a glitch
+  shadowrun: {
+    name: 'Shadowrun hits',
+    usage: '/system shadowrun',
+    parseOptions: () => ({}),
+    interpret: (result) => {
+      const dice = keptDice(result);
+      if (dice.length === 0) return NO_DICE;
+      const hits = dice.filter(roll => roll >= 5).length;
+      const ones = dice.filter(roll => roll === 1).length;
+      const glitch = ones > dice.length / 2;
+
+      let key = hits > 0 ? 'hit' : 'miss';
+      let label = plural(hits, 'hit');
+      if (glitch) {
+        key = hits === 0 ? 'critical-glitch' : 'glitch';
+        label = hits === 0 ? 'critical glitch' : `${label}, glitch`;
+      }
+
+      return { key, label, hits, summary: label };
+    }
+  },
+
+  // Powered by the Apocalypse: 2d6+mod, 6- miss, 7-9 weak hit, 10+ strong hit
+  pbta: {
+    name: 'PbtA bands',
+    usage: '/system pbta',
+    parseOptions: () => ({}),
+    interpret: (result) => {
+      const total = result.total;
+      let key = 'miss';
+      let label = 'miss';
+
+      if (total >= 10) {
+        key = 'strong';
+        label = 'strong hit';
+      } else if (total >= 7) {
+        key = 'weak';
+        label = 'weak hit';
+      }
+
+      return { key, label, summary: label };
+    }
+  },
+
+  // Forged in the Dark: highest d6 decides, two or more 6s is a critical
+  blades: {
+    name: 'Blades in the Dark',
+    usage: '/system blades',
+    parseOptions: () => ({}),
+    interpret: (result) => {
+      const dice = keptDice(result);
+      if (dice.length === 0) return NO_DICE;
+      const highest = Math.max(...dice);
+      const sixes = dice.filter(roll => roll === 6).length;
+
+      let key = 'bad';
+      let label = 'bad outcome';
+
+      if (sixes >= 2) {
+        key = 'critical';
+        label = 'critical success';
+      } else if (highest === 6) {
+        key = 'success';
+        label = 'full success';
+      } else if (highest >= 4) {
+        key = 'partial';
+        label = 'partial success';
+      }
+
+      return { key, label, summary: `${label} (${highest})` };
+    }
+  }
+};
+
+// Own keys only, so names like "toString" aren't taken for systems
+export const isRuleSystem = (id) => Object.prototype.hasOwnProperty.call(RULE_SYSTEMS, id);
+
+// Room setting from the rule system state event's content; even/odd until a GM picks one, or
+// when another client (or a newer build) set a system this one doesn't know
+export const ruleSystemSetting = (content) => content && isRuleSystem(content.system)
+  ? { system: content.system, options: content.options && typeof content.options === 'object' ? content.options : {} }
+  : DEFAULT_RULE_SYSTEM;
+
+export const getRuleSystem = (id) => RULE_SYSTEMS[isRuleSystem(id) ? id : DEFAULT_RULE_SYSTEM.system];
+
+// Interpret a dice result with a room's rule system setting ({ system, options })
+export const interpretRoll = (result, setting = DEFAULT_RULE_SYSTEM) => {
+  const id = isRuleSystem(setting.system) ? setting.system : DEFAULT_RULE_SYSTEM.system;
+  const options = setting.options || {};
+  const outcome = getRuleSystem(id).interpret(result, options);
+  return { system: id, options, ...outcome };
+};
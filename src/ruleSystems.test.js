@@ -0,0 +1,62 @@
+import { RULE_SYSTEMS, DEFAULT_RULE_SYSTEM, ruleSystemSetting, interpretRoll } from './ruleSystems';
+
+const result = (rolls, total = rolls.reduce((sum, roll) => sum + roll, 0)) => ({ rolls, total });
+
+test('even/odd counts even dice and reports the high and low die', () => {
+  expect(interpretRoll(result([2, 5, 3]))).toMatchObject({
+    system: 'evenodd',
+    key: 'hit',
+    hits: 1,
+    highEvenOdd: 'odd',
+    lowEvenOdd: 'even',
+    summary: '1 hit, high odd, low even'
+  });
+  expect(interpretRoll(result([1, 3])).key).toBe('miss');
+});
+
+test('threshold counts dice at or above the target', () => {
+  const setting = { system: 'threshold', options: RULE_SYSTEMS.threshold.parseOptions(['8']) };
+  expect(interpretRoll(result([8, 10, 3]), setting)).toMatchObject({ key: 'hit', hits: 2, summary: '2 successes (8+)' });
+  expect(interpretRoll(result([7]), setting).summary).toBe('0 successes (8+)');
+  expect(() => RULE_SYSTEMS.threshold.parseOptions(['zero'])).toThrow('Usage: /system threshold');
+});
+
+test('shadowrun counts 5s and 6s and spots glitches', () => {
+  const setting = { system: 'shadowrun' };
+  expect(interpretRoll(result([5, 6, 2, 3]), setting)).toMatchObject({ key: 'hit', hits: 2, summary: '2 hits' });
+  expect(interpretRoll(result([1, 1, 5]), setting)).toMatchObject({ key: 'glitch', summary: '1 hit, glitch' });
+  expect(interpretRoll(result([1, 1, 2]), setting)).toMatchObject({ key: 'critical-glitch', summary: 'critical glitch' });
+});
+
+test('pbta bands the total', () => {
+  const setting = { system: 'pbta' };
+  expect(interpretRoll(result([3, 2], 6), setting).key).toBe('miss');
+  expect(interpretRoll(result([4, 3], 7), setting).key).toBe('weak');
+  expect(interpretRoll(result([6, 3], 10), setting)).toMatchObject({ key: 'strong', summary: 'strong hit' });
+});
+
+test('blades reads the highest die', () => {
+  const setting = { system: 'blades' };
+  expect(interpretRoll(result([2, 3]), setting)).toMatchObject({ key: 'bad', summary: 'bad outcome (3)' });
+  expect(interpretRoll(result([5, 1]), setting).key).toBe('partial');
+  expect(interpretRoll(result([6, 2]), setting).key).toBe('success');
+  expect(interpretRoll(result([6, 6]), setting)).toMatchObject({ key: 'critical', summary: 'critical success (6)' });
+});
+
+test('pool systems say there were no dice instead of reading -Infinity', () => {
+  ['evenodd', 'threshold', 'shadowrun', 'blades'].forEach(system => {
+    expect(interpretRoll(result([], 5), { system, options: {} })).toMatchObject({ key: 'no-dice', summary: 'no dice' });
+  });
+});
+
+test('unknown systems fall back to even/odd', () => {
+  expect(interpretRoll(result([2]), { system: 'nope' }).system).toBe('evenodd');
+});
+
+test('reads the room setting, falling back to even/odd for systems this build doesn\'t know', () => {
+  expect(ruleSystemSetting({ system: 'threshold', options: { target: 6 } })).toEqual({ system: 'threshold', options: { target: 6 } });
+  expect(ruleSystemSetting({ system: 'fate', options: { ladder: true } })).toBe(DEFAULT_RULE_SYSTEM);
+  expect(ruleSystemSetting({ system: 'toString' })).toBe(DEFAULT_RULE_SYSTEM);
+  expect(ruleSystemSetting(null)).toBe(DEFAULT_RULE_SYSTEM);
+  expect(interpretRoll(result([2]), { system: 'toString' }).system).toBe('evenodd');
+});
@@ -0,0 +1,59 @@
+// scenes.js
+// Scene metadata for /scene: type, location and participants travel in the scene event's RPG block.
+
+import { splitFlags } from './commandArgs';
+
+export const SCENE_TYPES = ['regular', 'combat', 'social', 'exploration', 'flashback', 'downtime', 'interlude'];
+
+export const SCENE_USAGE = '/scene NAME [--type TYPE] [--location PLACE] [--with NAME, NAME...]';
+
+// "Kira, Bo the Bold" splits on commas; "@kira:x @bo:x" on spaces
+const splitParticipants = (text) => (text.includes(',') ? text.split(',') : text.split(/\s+/))
+  .map(name => name.trim())
+  .filter(Boolean);
+
+// Split "/scene" arguments into { sceneName, sceneType, location, participants }.
+// Throws with the usage line when something is missing or malformed.
+export const parseSceneArgs = (text) => {
+  const { head: sceneName, flags } = splitFlags(text);
+
+  if (!sceneName || sceneName.startsWith('--')) {
+    throw new Error(`Usage: ${SCENE_USAGE}`);
+  }
+
+  const scene = {
+    sceneName,
+    sceneType: 'regular',
+    location: null,
+    participants: []
+  };
+
+  flags.forEach(({ key, value }) => {
+    if (!value) {
+      throw new Error(`--${key} needs a value. Usage: ${SCENE_USAGE}`);
+    }
+
+    if (key === 'type') {
+      const sceneType = value.toLowerCase();
+      if (!SCENE_TYPES.includes(sceneType)) {
+        throw new Error(`Unknown scene type "${value}". Available: ${SCENE_TYPES.join(', ')}`);
+      }
+      scene.sceneType = sceneType;
+    } else if (key === 'location') {
+      scene.location = value;
+    } else if (key === 'with') {
+      scene.participants = splitParticipants(value);
+    } else {
+      throw new Error(`Unknown option --${key}. Usage: ${SCENE_USAGE}`);
+    }
+  });
+
+  return scene;
+};
+
+// One-line summary under the scene name, e.g. "combat · The Docks · with Kira, Bo"
+export const describeScene = ({ sceneType, location, participants = [] }) => [
+  sceneType && sceneType !== 'regular' ? sceneType : null,
+  location,
+  participants.length > 0 ? `with ${participants.join(', ')}` : null
+].filter(Boolean).join(' · ');
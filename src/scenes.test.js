@@ -0,0 +1,27 @@
+import { parseSceneArgs, describeScene } from './scenes';
+
+test('parses a scene with type, location and participants', () => {
+  expect(parseSceneArgs('Ambush at the Ford --type Combat --location River Ilvar --with Kira, Bo the Bold')).toEqual({
+    sceneName: 'Ambush at the Ford',
+    sceneType: 'combat',
+    location: 'River Ilvar',
+    participants: ['Kira', 'Bo the Bold']
+  });
+  expect(parseSceneArgs('Camp --with @kira:x @bo:x').participants).toEqual(['@kira:x', '@bo:x']);
+});
+
+test('defaults to a regular scene', () => {
+  expect(parseSceneArgs('The Docks')).toEqual({ sceneName: 'The Docks', sceneType: 'regular', location: null, participants: [] });
+});
+
+test('rejects missing names, unknown types and options', () => {
+  expect(() => parseSceneArgs('')).toThrow('Usage: /scene');
+  expect(() => parseSceneArgs('Docks --type heist')).toThrow('Unknown scene type "heist"');
+  expect(() => parseSceneArgs('Docks --location')).toThrow('--location needs a value');
+  expect(() => parseSceneArgs('Docks --mood grim')).toThrow('Unknown option --mood');
+});
+
+test('describes scene metadata in one line', () => {
+  expect(describeScene({ sceneType: 'flashback', location: 'Old Keep', participants: ['Kira'] })).toBe('flashback · Old Keep · with Kira');
+  expect(describeScene({ sceneType: 'regular', location: null })).toBe('');
+});
@@ -0,0 +1,212 @@
+// transcript.js
+// Session transcripts for /export: filters decoded room history (see rpgEvents.js) and renders it
+// as Markdown, a standalone HTML page or structured JSON.
+
+import { escapeHtml } from './rpgEvents';
+import { describeScene } from './scenes';
+import { splitFlags, parseDay, parseDayEnd, parseSceneRange } from './commandArgs';
+
+export const EXPORT_FORMATS = {
+  md: { extension: 'md', mimeType: 'text/markdown' },
+  html: { extension: 'html', mimeType: 'text/html' },
+  json: { extension: 'json', mimeType: 'application/json' }
+};
+
+export const EXPORT_USAGE = '/export md|html|json [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--scenes N-M] [--chat] [--all]';
+
+// Message types in the game channel; everything else belongs to chat
+const GAME_TYPES = ['scene', 'narrate', 'game', 'roll'];
+
+// Split "/export" arguments into { format, filters, entireHistory }. Throws with the usage line on bad input.
+// --all loads the entire campaign first instead of exporting the history loaded so far.
+export const parseExportArgs = (text) => {
+  // The format is optional and defaults to Markdown
+  const { head, flags } = splitFlags(text);
+  const format = head.toLowerCase() || 'md';
+
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Unknown export format "${head}". Usage: ${EXPORT_USAGE}`);
+  }
+
+  const filters = { from: null, to: null, scenes: null, includeChat: false };
+  let entireHistory = false;
+
+  flags.forEach(({ key, words: [value] }) => {
+    if (key === 'from') {
+      filters.from = parseDay(value, 'from');
+    } else if (key === 'to') {
+      filters.to = parseDayEnd(value, 'to');
+    } else if (key === 'scenes' || key === 'scene') {
+      filters.scenes = parseSceneRange(value);
+    } else if (key === 'chat') {
+      filters.includeChat = true;
+    } else if (key === 'no-chat') {
+      filters.includeChat = false;
+    } else if (key === 'all') {
+      entireHistory = true;
+    } else {
+      throw new Error(`Unknown option --${key}. Usage: ${EXPORT_USAGE}`);
+    }
+  });
+
+  return { format, filters, entireHistory };
+};
+
+// Sort decoded events, number the scenes and apply the filters.
+// Returns { scenes: [{ number, sceneName, ... }], entries: [{ ...event, channel, scene }] }.
+export const buildTranscript = (events, filters = {}) => {
+  const { from = null, to = null, scenes: sceneRange = null, includeChat = false } = filters;
+
+  let sceneNumber = 0;
+  const scenes = [];
+  const entries = [];
+
+  [...events]
+    .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+    .forEach(event => {
+      if (event.type === 'scene') {
+        sceneNumber++;
+        scenes.push({
+          number: sceneNumber,
+          sceneName: event.sceneName,
+          sceneType: event.sceneType,
+          location: event.location,
+          participants: event.participants || [],
+          timestamp: event.timestamp
+        });
+      }
+
+      const channel = GAME_TYPES.includes(event.type) ? 'game' : 'chat';
+      if (channel === 'chat' && !includeChat) return;
+      if (from !== null && event.timestamp < from) return;
+      if (to !== null && event.timestamp > to) return;
+      if (sceneRange && (sceneNumber < sceneRange.from || sceneNumber > sceneRange.to)) return;
+
+      entries.push({ ...event, channel, scene: sceneNumber });
+    });
+
+  // Only list scenes that still have their divider in the export
+  const included = new Set(entries.filter(entry => entry.type === 'scene').map(entry => entry.scene));
+  return { scenes: scenes.filter(scene => included.has(scene.number)), entries };
+};
+
+const formatTime = (timestamp) => timestamp ? new Date(timestamp).toLocaleString() : '';
+
+const rollSummary = (entry) =>
+  `${entry.expression || entry.dice}: ${entry.breakdown} = ${entry.total}` +
+  (entry.outcome ? ` (${entry.outcome.summary})` : '');
+
+// Plain-text line for one entry, shared by the Markdown and HTML renderers
+const entryText = (entry) => {
+  switch (entry.type) {
+    case 'roll':
+      return entry.total === null ? entry.text : `${entry.senderName} rolls ${entry.label ? `${entry.label} ` : ''}${rollSummary(entry)}`;
+    case 'emote':
+      return `* ${entry.senderName} ${entry.text}`;
+    default:
+      return entry.text;
+  }
+};
+
+export const transcriptToMarkdown = ({ room, exportedAt, transcript }) => {
+  const lines = [`# ${room.name}`, '', `_Exported ${formatTime(exportedAt)}_`, ''];
+
+  transcript.entries.forEach(entry => {
+    if (entry.type === 'scene') {
+      const details = describeScene(entry);
+      lines.push(`## ${entry.sceneName}`, '', `_${formatTime(entry.timestamp)}${details ? ` · ${details}` : ''}_`, '');
+    } else if (entry.type === 'narrate') {
+      lines.push(`_${entry.text.replace(/\n/g, '_\n_')}_`, '');
+    } else if (entry.type === 'roll') {
+      lines.push(`> 🎲 ${entryText(entry)}`, '');
+    } else if (entry.channel === 'chat') {
+      lines.push(`**${entry.senderName}** (chat): ${entryText(entry)}`, '');
+    } else {
+      lines.push(`**${entry.senderName}:** ${entryText(entry)}`, '');
+    }
+  });
+
+  return lines.join('\n');
+};
+
+const HTML_STYLE = `
+  body { font-family: Georgia, serif; max-width: 42em; margin: 2em auto; color: #333; line-height: 1.5; }
+  h1 { font-weight: 600; }
+  h2 { margin-top: 2em; border-bottom: 1px solid #ddd; }
+  .meta, .chat { color: #888; font-size: 0.9em; }
+  .narrate { font-style: italic; }
+  .roll { color: #666; font-family: monospace; }
+`;
+
+export const transcriptToHtml = ({ room, exportedAt, transcript }) => {
+  const body = transcript.entries.map(entry => {
+    if (entry.type === 'scene') {
+      const details = describeScene(entry);
+      return `<h2>${escapeHtml(entry.sceneName)}</h2>\n` +
+        `<p class="meta">${escapeHtml(formatTime(entry.timestamp))}${details ? ` · ${escapeHtml(details)}` : ''}</p>`;
+    }
+    const text = escapeHtml(entryText(entry)).replace(/\n/g, '<br>');
+    if (entry.type === 'narrate') return `<p class="narrate">${text}</p>`;
+    if (entry.type === 'roll') return `<p class="roll">🎲 ${text}</p>`;
+    return `<p class="${entry.channel}"><strong>${escapeHtml(entry.senderName)}:</strong> ${text}</p>`;
+  });
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(room.name)}</title>`,
+    `<style>${HTML_STYLE}</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${escapeHtml(room.name)}</h1>`,
+    `<p class="meta">Exported ${escapeHtml(formatTime(exportedAt))}</p>`,
+    ...body,
+    '</body>',
+    '</html>'
+  ].join('\n');
+};
+
+export const transcriptToJson = ({ room, exportedAt, filters, transcript }) => JSON.stringify({
+  room,
+  exportedAt: new Date(exportedAt).toISOString(),
+  filters: {
+    ...filters,
+    from: filters.from ? new Date(filters.from).toISOString() : null,
+    to: filters.to ? new Date(filters.to).toISOString() : null,
+    scenes: filters.scenes && { from: filters.scenes.from, to: filters.scenes.to === Infinity ? null : filters.scenes.to }
+  },
+  scenes: transcript.scenes,
+  entries: transcript.entries.map(({ eventId, type, channel, scene, sender, senderName, timestamp, ...rest }) => ({
+    eventId,
+    type,
+    channel,
+    scene,
+    sender,
+    senderName,
+    timestamp: timestamp ? new Date(timestamp).toISOString() : null,
+    ...rest
+  }))
+}, null, 2);
+
+const RENDERERS = {
+  md: transcriptToMarkdown,
+  html: transcriptToHtml,
+  json: transcriptToJson
+};
+
+// Render an export; returns { filename, mimeType, content, count }
+export const renderTranscript = (format, { room, events, filters, exportedAt = Date.now() }) => {
+  const transcript = buildTranscript(events, filters);
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+  const slug = (room.name || 'room').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'room';
+  const day = new Date(exportedAt).toISOString().substring(0, 10);
+
+  return {
+    filename: `${slug}-${day}.${extension}`,
+    mimeType,
+    content: RENDERERS[format]({ room, exportedAt, filters, transcript }),
+    count: transcript.entries.length
+  };
+};
@@ -0,0 +1,74 @@
+import { parseExportArgs, buildTranscript, renderTranscript } from './transcript';
+
+const at = (day, hour) => new Date(2024, 4, day, hour).getTime();
+
+const events = () => [
+  { type: 'chat', eventId: '$c1', sender: '@bo:x', senderName: 'Bo', text: 'brb', timestamp: at(1, 21) },
+  { type: 'scene', eventId: '$s1', sender: '@gm:x', senderName: 'GM', text: 'The Docks', sceneName: 'The Docks', sceneType: 'regular', location: null, participants: [], timestamp: at(1, 20) },
+  { type: 'narrate', eventId: '$n1', sender: '@gm:x', senderName: 'GM', text: 'Fog rolls in.', timestamp: at(1, 20) + 1 },
+  { type: 'roll', eventId: '$r1', sender: '@kira:x', senderName: 'Kira', text: 'rolls', dice: '1d20+@dex', expression: '1d20+3', label: 'Stealth', breakdown: '[14] + 3', total: 17, outcome: null, timestamp: at(1, 22) },
+  { type: 'scene', eventId: '$s2', sender: '@gm:x', senderName: 'GM', text: 'Ambush <Ford>', sceneName: 'Ambush <Ford>', sceneType: 'combat', location: 'River', participants: ['Kira'], timestamp: at(8, 20) },
+  { type: 'game', eventId: '$g1', sender: '@kira:x', senderName: 'Kira', text: 'I draw my blade.', timestamp: at(8, 21) }
+];
+
+test('parses format and filters', () => {
+  expect(parseExportArgs('')).toEqual({ format: 'md', filters: { from: null, to: null, scenes: null, includeChat: false }, entireHistory: false });
+  expect(parseExportArgs('json --all').entireHistory).toBe(true);
+
+  const { format, filters } = parseExportArgs('HTML --from 2024-05-02 --to 2024-05-08 --scenes 2- --chat');
+  expect(format).toBe('html');
+  expect(filters.from).toBe(at(2, 0));
+  expect(filters.to).toBe(at(9, 0) - 1);
+  expect(filters.scenes).toEqual({ from: 2, to: Infinity });
+  expect(filters.includeChat).toBe(true);
+
+  expect(parseExportArgs('--scenes 1').filters.scenes).toEqual({ from: 1, to: 1 });
+});
+
+test('rejects unknown formats, options and bad values', () => {
+  expect(() => parseExportArgs('pdf')).toThrow('Unknown export format "pdf"');
+  expect(() => parseExportArgs('md --since 2024-05-01')).toThrow('Unknown option --since');
+  expect(() => parseExportArgs('md --from 2024-02-30')).toThrow('--from needs a date');
+  expect(() => parseExportArgs('md --scenes 4-2')).toThrow('ends before it starts');
+});
+
+test('sorts by time, numbers scenes and leaves chat out by default', () => {
+  const transcript = buildTranscript(events());
+  expect(transcript.entries.map(entry => entry.eventId)).toEqual(['$s1', '$n1', '$r1', '$s2', '$g1']);
+  expect(transcript.entries.map(entry => entry.scene)).toEqual([1, 1, 1, 2, 2]);
+  expect(transcript.scenes.map(scene => scene.number)).toEqual([1, 2]);
+
+  expect(buildTranscript(events(), { includeChat: true }).entries.find(entry => entry.eventId === '$c1').channel).toBe('chat');
+});
+
+test('filters by date and scene range', () => {
+  expect(buildTranscript(events(), { from: at(2, 0) }).entries.map(entry => entry.eventId)).toEqual(['$s2', '$g1']);
+  expect(buildTranscript(events(), { to: at(1, 20) + 1 }).entries.map(entry => entry.eventId)).toEqual(['$s1', '$n1']);
+
+  const second = buildTranscript(events(), { scenes: { from: 2, to: 2 } });
+  expect(second.entries.map(entry => entry.eventId)).toEqual(['$s2', '$g1']);
+  expect(second.scenes.map(scene => scene.sceneName)).toEqual(['Ambush <Ford>']);
+});
+
+test('renders Markdown, escaped HTML and JSON', () => {
+  const options = { room: { id: '!r:x', name: 'Iron Coast' }, events: events(), filters: parseExportArgs('').filters, exportedAt: at(9, 12) };
+
+  const markdown = renderTranscript('md', options);
+  expect(markdown.filename).toBe('iron-coast-' + new Date(at(9, 12)).toISOString().substring(0, 10) + '.md');
+  expect(markdown.count).toBe(5);
+  expect(markdown.content).toContain('## The Docks');
+  expect(markdown.content).toContain('_Fog rolls in._');
+  expect(markdown.content).toContain('> 🎲 Kira rolls Stealth 1d20+3: [14] + 3 = 17');
+  expect(markdown.content).toContain('combat · River · with Kira');
+  expect(markdown.content).toContain('**Kira:** I draw my blade.');
+
+  const html = renderTranscript('html', options).content;
+  expect(html).toMatch(/^<!DOCTYPE html>/);
+  expect(html).toContain('<h2>Ambush &lt;Ford&gt;</h2>');
+  expect(html).not.toContain('<Ford>');
+
+  const json = JSON.parse(renderTranscript('json', options).content);
+  expect(json.room.name).toBe('Iron Coast');
+  expect(json.entries[2]).toMatchObject({ eventId: '$r1', type: 'roll', scene: 1, total: 17, channel: 'game' });
+  expect(json.entries[0].timestamp).toBe(new Date(at(1, 20)).toISOString());
+});
@@ -0,0 +1,160 @@
+// verifiableRolls.js
+// Commit/reveal protocol that lets every client check a roll instead of trusting the sender.
+//
+// 1. The roller sends a commit event holding the dice expression, any label and sha256(nonce).
+// 2. The homeserver assigns the commit an event ID the roller cannot predict.
+// 3. The dice are rolled from sha256(commitEventId + ":" + nonce), and the roll event reveals the nonce.
+// Receivers fetch the commit, check the hash, replay the dice and compare them with the roll event.
+//
+// The roller learns the dice as soon as the commit is sent, so they could quietly drop a commit
+// and send another until the dice suit them. Every commit stays in the room, so a roll is only
+// verified when the roller revealed all their commits before it (see rollAudit.skippedCommits).
+
+import { rollDiceExpression, parseDice, formatDice, resolveStatReferences } from './dice';
+import { DEFAULT_RULE_SYSTEM, interpretRoll } from './ruleSystems';
+
+export const ROLL_COMMIT_EVENT = 'org.matrix.custom.rpg.roll_commit';
+export const ROLL_ALGORITHM = 'sha256-sfc32-v1';
+
+const getCrypto = () => {
+  const cryptoApi = window.crypto;
+  if (!cryptoApi || !cryptoApi.subtle) {
+    throw new Error('Verifiable rolls need a secure (https) context');
+  }
+  return cryptoApi;
+};
+
+const toHex = (bytes) => Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+export const sha256Hex = async (text) => {
+  const digest = await getCrypto().subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return toHex(new Uint8Array(digest));
+};
+
+export const createNonce = () => toHex(getCrypto().getRandomValues(new Uint8Array(16)));
+
+// sfc32 seeded from the first 128 bits of a hex digest; returns floats in [0, 1)
+export const seededRng = (seedHex) => {
+  let [a, b, c, d] = [0, 8, 16, 24].map(offset => parseInt(seedHex.substring(offset, offset + 8), 16) >>> 0);
+
+  const next = () => {
+    a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0;
+    let t = (a + b) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    d = (d + 1) | 0;
+    t = (t + d) | 0;
+    c = (c + t) | 0;
+    return (t >>> 0) / 4294967296;
+  };
+
+  // Discard the first outputs so similar seeds diverge
+  for (let i = 0; i < 12; i++) next();
+  return next;
+};
+
+// Start a roll: returns the nonce to keep secret and the commit event content to send. The label
+// ("initiative", "stealth") is committed too, so a roll can't be relabelled after the fact.
+export const createRollCommit = async (expression, { label = null } = {}) => {
+  const nonce = createNonce();
+  return {
+    nonce,
+    content: {
+      expression,
+      ...(label && { label }),
+      commitment: await sha256Hex(nonce),
+      algorithm: ROLL_ALGORITHM
+    }
+  };
+};
+
+// Roll the dice for a sent commit; the result is reproducible by anyone who knows the nonce
+export const rollFromCommit = async (expression, commitEventId, nonce) => {
+  const seed = await sha256Hex(`${commitEventId}:${nonce}`);
+  return rollDiceExpression(expression, seededRng(seed));
+};
+
+const sameRolls = (a = [], b = []) => a.length === b.length && a.every((value, i) => value === b[i]);
+
+// Groups are plain JSON, so comparing their serialisations compares every die and modifier
+const sameGroups = (a = [], b = []) => JSON.stringify(a) === JSON.stringify(b);
+
+// The expression as typed must resolve, with the stats the roll shows, to the committed one
+const resolvesTo = (roll, committed) => {
+  const stats = roll.stats || {};
+  const typed = roll.expression || roll.dice;
+  if (Object.keys(stats).length === 0) return typed === committed;
+  try {
+    const { expression } = resolveStatReferences(typed, name => stats[name]);
+    return formatDice(parseDice(expression)) === committed;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Check a received roll against its commit event ({ sender, content } or null if missing) and
+// the room's rule system when it was rolled. Everything the roll shows is compared with the
+// replayed dice, so a verified roll can't display anything but what was rolled.
+// `skippedCommits` counts the roller's unrevealed commits just before this one.
+// Returns { verified, reason }.
+export const verifyRoll = async (roll, commitEvent, ruleSystem = DEFAULT_RULE_SYSTEM, { skippedCommits = 0 } = {}) => {
+  const proof = roll.verification;
+
+  if (!proof) {
+    return { verified: false, reason: 'no proof attached' };
+  }
+  if (proof.algorithm !== ROLL_ALGORITHM) {
+    return { verified: false, reason: `unknown algorithm ${proof.algorithm}` };
+  }
+  if (!commitEvent) {
+    return { verified: false, reason: 'commit event not found' };
+  }
+  if (commitEvent.sender !== roll.sender) {
+    return { verified: false, reason: 'commit sent by someone else' };
+  }
+
+  const commit = commitEvent.content || {};
+  if (commit.expression !== roll.dice) {
+    return { verified: false, reason: 'expression differs from commit' };
+  }
+  if ((commit.label || null) !== (roll.label || null)) {
+    return { verified: false, reason: 'label differs from commit' };
+  }
+  if (!resolvesTo(roll, commit.expression)) {
+    return { verified: false, reason: 'stats do not give the committed expression' };
+  }
+  if (await sha256Hex(proof.nonce) !== commit.commitment) {
+    return { verified: false, reason: 'nonce does not match commitment' };
+  }
+
+  let expected;
+  try {
+    expected = await rollFromCommit(commit.expression, proof.commitEventId, proof.nonce);
+  } catch (error) {
+    return { verified: false, reason: error.message };
+  }
+
+  if (!sameRolls(expected.rolls, roll.rolls) || expected.total !== roll.total) {
+    return { verified: false, reason: 'dice differ from the committed seed' };
+  }
+  if (expected.breakdown !== roll.breakdown || !sameGroups(expected.groups, roll.groups)) {
+    return { verified: false, reason: 'breakdown differs from the dice' };
+  }
+
+  if (roll.outcome) {
+    const outcome = interpretRoll(expected, ruleSystem);
+    if (outcome.key !== roll.outcome.key || outcome.summary !== roll.outcome.summary) {
+      return { verified: false, reason: 'outcome differs from the room\'s rule system' };
+    }
+  }
+
+  if (skippedCommits > 0) {
+    return { 
+      verified: false,
+      reason: `${skippedCommits} earlier ${skippedCommits === 1 ? 'commit was' : 'commits were'} never revealed, so the dice may have been rolled again`
+    };
+  }
+
+  return { verified: true, reason: null };
+};
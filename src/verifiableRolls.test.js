@@ -0,0 +1,83 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder } from 'util';
+import { ROLL_ALGORITHM, createRollCommit, rollFromCommit, verifyRoll } from './verifiableRolls';
+import { interpretRoll } from './ruleSystems';
+
+// jsdom has no SubtleCrypto; Node's is the same Web Crypto API
+beforeAll(() => {
+  Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+  global.TextEncoder = TextEncoder;
+});
+
+const EVENS = { system: 'evenodd', options: {} };
+
+// A roll the way the client sends it, with its commit event as receivers fetch it
+const makeRoll = async (expression, { ruleSystem = EVENS, typed, stats, label } = {}) => {
+  const commit = await createRollCommit(expression, { label });
+  const commitEventId = '$commit';
+  const result = await rollFromCommit(expression, commitEventId, commit.nonce);
+  const roll = {
+    sender: '@ana:x',
+    dice: result.expression,
+    rolls: result.rolls,
+    groups: result.groups,
+    breakdown: result.breakdown,
+    total: result.total,
+    outcome: interpretRoll(result, ruleSystem),
+    ...(typed && { expression: typed, stats }),
+    ...(label && { label }),
+    verification: { algorithm: ROLL_ALGORITHM, commitEventId, nonce: commit.nonce }
+  };
+  return { roll, commitEvent: { sender: '@ana:x', content: commit.content } };
+};
+
+test('verifies an honest roll', async () => {
+  const { roll, commitEvent } = await makeRoll('3d6+1');
+  expect(await verifyRoll(roll, commitEvent, EVENS)).toEqual({ verified: true, reason: null });
+});
+
+test('rejects a roll showing dice text that was not rolled', async () => {
+  const { roll, commitEvent } = await makeRoll('3d6+1');
+
+  const breakdown = await verifyRoll({ ...roll, breakdown: '[6][6][6]+1' }, commitEvent, EVENS);
+  expect(breakdown).toEqual({ verified: false, reason: 'breakdown differs from the dice' });
+
+  const groups = roll.groups.map(group => ({ ...group, dice: group.dice.map(die => ({ ...die, value: 6 })) }));
+  expect((await verifyRoll({ ...roll, groups }, commitEvent, EVENS)).verified).toBe(false);
+});
+
+test('rejects stats that do not resolve to the committed expression', async () => {
+  const { roll, commitEvent } = await makeRoll('1d20+3', { typed: '1d20+@str', stats: { str: 3 } });
+  expect((await verifyRoll(roll, commitEvent, EVENS)).verified).toBe(true);
+
+  const forged = await verifyRoll({ ...roll, stats: { str: 9 } }, commitEvent, EVENS);
+  expect(forged).toEqual({ verified: false, reason: 'stats do not give the committed expression' });
+});
+
+test('checks the outcome with the room\'s rule system, not the one the roll names', async () => {
+  const pbta = { system: 'pbta', options: {} };
+  const { roll, commitEvent } = await makeRoll('2d6', { ruleSystem: pbta });
+  expect((await verifyRoll(roll, commitEvent, pbta)).verified).toBe(true);
+
+  // Interpreted under another system than the room's, even though it names that system honestly
+  const threshold = { system: 'threshold', options: { target: 1 } };
+  const { roll: otherSystem, commitEvent: otherCommit } = await makeRoll('2d6', { ruleSystem: threshold });
+  expect(await verifyRoll(otherSystem, otherCommit, pbta)).toEqual({ verified: false, reason: 'outcome differs from the room\'s rule system' });
+});
+
+test('rejects a label that was not committed', async () => {
+  const { roll, commitEvent } = await makeRoll('1d20', { label: 'stealth' });
+  expect((await verifyRoll(roll, commitEvent, EVENS)).verified).toBe(true);
+
+  const relabelled = await verifyRoll({ ...roll, label: 'initiative' }, commitEvent, EVENS);
+  expect(relabelled).toEqual({ verified: false, reason: 'label differs from commit' });
+  expect((await verifyRoll({ ...roll, label: undefined }, commitEvent, EVENS)).verified).toBe(false);
+});
+
+test('does not vouch for a roll made after dropping unrevealed commits', async () => {
+  const { roll, commitEvent } = await makeRoll('1d20');
+  expect(await verifyRoll(roll, commitEvent, EVENS, { skippedCommits: 2 })).toEqual({
+    verified: false,
+    reason: '2 earlier commits were never revealed, so the dice may have been rolled again'
+  });
+});
@@ -1,5 +1,6 @@
 const path = require('path');
 const HtmlWebpackPlugin = require('html-webpack-plugin');
+const CopyWebpackPlugin = require('copy-webpack-plugin');
 
 module.exports = {
   entry: './src/index.js',
@@ -38,6 +39,10 @@ module.exports = {
         removeComments: true,
         collapseWhitespace: true
       }
+    }),
+    // libolm is loaded at runtime, next to the page (see scripts/copy-olm.js)
+    new CopyWebpackPlugin({
+      patterns: [{ from: 'public/olm', to: 'olm' }]
     })
   ],
   resolve: {